@@ -5,157 +5,3037 @@
  * @author Orca Scan <orcascan.com>
  * @license MIT
  */
-(function (window) {
+(function (root) {
 
     'use strict';
 
-    // dependency check!
-    if (typeof window.CustomEvent !== 'function') throw new Error('Missing CustomEvent polyfill');
+    var cryptoKeys = {};
+    var signingKeys = {};
 
-    var sender = window.location.href;
-    var originId = stringHash(sender + ':' + Date.now() + ':' + Math.random() * 1e18);
-    var recentEvents = {};
+    // version of the _broadcast envelope (1.x versions have no version, see getBroadcast)
+    var protocolVersion = 2;
+
+    // where events can be sent (see options.scope)
+    var scopes = ['all', 'local', 'up', 'down', 'ancestors', 'descendants', 'siblings'];
+
+    // JSON Schema keywords defineEvent understands, anything else would be silently ignored (see compileSchema)
+    var schemaKeywords = [
+        'type', 'enum', 'const', 'properties', 'required', 'additionalProperties', 'items', 'minItems', 'maxItems',
+        'minLength', 'maxLength', 'pattern', 'minimum', 'maximum',
+        '$schema', '$id', '$comment', 'title', 'description', 'default', 'examples'
+    ];
+
+    // ways of moving messages between frames
+    var transports = {
+        postMessage: postMessageTransport,
+        memory: memoryTransport
+    };
+
+    /**
+     * Creates a broadcastEvent instance for a frame
+     * @example
+     *  var frame = broadcastEvent.transports.memory({ href: 'https://orcascan.com' });
+     *  var frameBroadcastEvent = broadcastEvent.create(frame);
+     * @param {object} transport - moves messages between frames (see postMessageTransport)
+     * @param {string} transport.href - location of this frame
+     * @param {EventTarget} transport.target - where events are fired locally (window)
+     * @param {function} transport.parent - returns the parent frame (null if top)
+     * @param {function} transport.children - returns an array of child frames
+     * @param {function} transport.send - sends (frame, message, origins) to a frame
+     * @param {function} transport.listen - calls fn(message, sourceFrame, origin) for each message received
+     * @param {function} transport.depth - returns how deeply nested this frame is (0 = top)
+     * @param {function} [transport.observe] - calls fn(frame) when a child frame is added
+     * @param {function} [transport.attach] - adds (frame, onClose) as a child frame until it closes (see attachWindow)
+     * @param {function} [transport.opener] - returns the frame that opened this one (null if none, see joinOpener)
+     * @param {object} [busOptions={}] - bus options (see createBus)
+     * @param {string} [busOptions.namespace] - if set, events are isolated from other buses and fired on the bus (not the window)
+     * @returns {function} broadcastEvent
+     */
+    function createBroadcastEvent(transport, busOptions) {
+
+        busOptions = busOptions || {};
+
+        var namespace = busOptions.namespace || '';
+        var buses = busOptions._buses || {};
+        var frameVersions = busOptions._frameVersions || { legacy: [], current: [] };
+        var target = namespace ? new EventTarget() : transport.target;
+        var sender = transport.href;
+        var originId = stringHash(sender + ':' + Date.now() + ':' + Math.random() * 1e18);
+        var peers = {};
+        var parentId = null;
+        var subscriptions = [];
+        var stickyEvents = {};
+        var stickySeen = {};
+        var schemas = {};
+        var limiters = {};
+        var middleware = [];
+        var heldEvents = [];
+        var childStates = [];
+        var sentEvents = [];
+        var attachedWindows = [];
+        var useOpener = false;
+        var historyEntries = [];
+        var stateEntries = {};
+        var stateClock = 0;
+        var stateSubscriptions = [];
+        var elections = {};
+        var channel = null;
+
+        // defaults for this instance, can be changed via broadcastEvent.defaults
+        var defaults = {
+            origins: ['*'],
+            encryptionKey: null,
+            signingKey: null,
+            signatureMaxAge: 30000,
+            dedupeTtl: 30000,
+            dedupeCapacity: 1000,
+            limits: {},
+            bufferTimeout: 5000,
+            bufferSize: 50,
+            reportErrors: false,
+            historySize: 100,
+            debug: false
+        };
+
+        // ids of events we've already processed (so relayed copies don't loop)
+        var seenEvents = createEventCache(defaults);
+
+        // nonces of signed messages we've accepted (so they can't be replayed)
+        var nonceSettings = { dedupeTtl: 60000, dedupeCapacity: 10000 };
+        var seenNonces = createEventCache(nonceSettings);
+
+        /**
+         * Fire events across iframes
+         * @example
+         *  broadcastEvent('mobile:ready', { token: '01234', email: 'john@orcascan.com' });
+         * @param {string} eventName - event to dispatch
+         * @param {object} [eventData={}] - optional data to send
+         * @param {object} [options={}] - optional options ;)
+         * @param {boolean} [options.encrypt=false] - if set, encrypts event data in transit (requires defaults.encryptionKey)
+         * @param {string} [options.target=e.detail._originId] - if set, sends event only to that frame
+         * @param {string|Array<string>} [options.origins=defaults.origins] - if set, only sends to frames on these origins (including frames it's relayed to)
+         * @param {boolean} [options.sticky=false] - if set, replays the last event to frames that load later
+         * @param {boolean} [options.ack=false] - if set, target must confirm receipt (returns a Promise)
+         * @param {number} [options.retries=2] - number of times to resend if not acknowledged (ack only)
+         * @param {number} [options.timeout=1000] - milliseconds to wait for each acknowledgement (ack), or for a veto (cancelable)
+         * @param {boolean} [options.cancelable=false] - if set, any frame can veto using preventDefault (returns a Promise, can't be used with ack)
+         * @param {number} [options.throttle] - if set, sends at most once every n milliseconds (latest data sent at the end)
+         * @param {number} [options.debounce] - if set, waits until no calls for n milliseconds then sends the latest data
+         * @param {number} [options.maxPerSecond] - if set, drops events over the limit and pauses the event (see defaults.limits)
+         * @param {number} [options.cooldown=1000] - milliseconds to pause an event that exceeds maxPerSecond
+         * @param {string} [options.scope='all'] - frames to send to: all, local, up, down, ancestors, descendants or siblings
+         * @param {number} [options.maxHops] - if set, frames more than this many hops away don't receive the event
+         * @param {boolean} [options.debug=false] - console log if true (default false)
+         * @returns {void|Promise} ack: resolves when acknowledged, rejects if never. cancelable: resolves with { canceled, originId, href }, rejects if never sent
+         */
+        function broadcastEvent(eventName, eventData, options) {
+
+            if (eventData && typeof eventData !== 'object') throw new Error('eventData must be an object');
+
+            eventName = String(eventName || '') || '';
+            eventData = eventData || {};
+            options = copyOptions(options);
+
+            if (options.encrypt && !defaults.encryptionKey) throw new Error('Encryption key is required');
+
+            if (!options._eventId && options.scope && scopes.indexOf(options.scope) === -1) throw new Error('Invalid scope "' + options.scope + '"');
+
+            // check event data matches its schema before it leaves this window (relayed events are checked on receipt)
+            if (!options._eventId && schemas[eventName]) {
+                var errors = validateEventData(eventData, schemas[eventName]);
+                if (errors.length) throw new Error('Invalid event data "' + eventName + '": ' + errors.join(', '));
+            }
+
+            // both return a promise, but resolve with different things
+            if (options.ack && options.cancelable) throw new Error('ack can not be used with cancelable');
+
+            if (options.ack) {
+                if (!options.target) throw new Error('ack requires a target');
+                return sendWithAck(eventName, eventData, options);
+            }
+
+            if (options.cancelable && !options._eventId) {
+                return sendCancelable(eventName, eventData, options);
+            }
+
+            // should we enable logging?
+            options.debug = (options.debug === true || defaults.debug === true);
+
+            // lets the sender of a cancelable event know it was never sent (see sendCancelable)
+            var notSent = (typeof options._onNotSent === 'function') ? options._onNotSent : function() {};
+
+            // throttle, debounce and rate limit events sent from this window
+            if (!options._eventId) {
+                if (!options._deferred && deferSend(eventName, eventData, options)) return;
+                if (isRateLimited(eventName, getLimits(eventName, options), options.debug)) {
+                    record('dropped', { type: eventName, detail: eventData }, { direction: 'out', reason: 'throttled' });
+                    notSent('throttled');
+                    return;
+                }
+            }
+
+            // only post to trusted origins (per call overrides global default, relayed events keep the sender's list)
+            var origins = options._eventId
+                ? intersectOrigins(options.origins, defaults.origins)
+                : toOriginList(options.origins || defaults.origins);
+
+            // send originId so handlers know whos calling (always retain original originId)
+            if (!eventData._originId) {
+                eventData._originId = originId;
+            }
+
+            // set event target if provided
+            if (options.target) {
+                eventData._targetId = options.target;
+            }
+
+            var payload = {
+                v: protocolVersion,
+                ns: namespace || undefined,
+                type: eventName,
+                detail: eventData,
+                eventId: options._eventId,
+                eventIds: options._eventIds,
+                hops: options._hops || 0,
+                path: options._path || [],
+                scope: options.scope,
+                maxHops: options.maxHops,
+                origins: (options.origins && origins.indexOf('*') === -1) ? origins : undefined,
+                debug: options.debug
+            };
+
+            // if we've already sent this, exit
+            if (alreadyBroadcast(payload)) {
+                if (options.debug) {
+                    log('suppressed "' + payload.type + '"');
+                }
+                record('suppressed', payload, { direction: options._eventId ? 'in' : 'out', hops: options._eventId ? payload.hops - 1 : 0 });
+                return;
+            }
+
+            // stop relaying events that are flooding the frames (received copies count once)
+            if (options._eventId && isRateLimited(eventName, getLimits(eventName, {}), options.debug)) {
+                record('dropped', payload, { reason: 'throttled', hops: payload.hops - 1 });
+                return;
+            }
+
+            // let middleware change or stop events received from other frames
+            if (options._eventId) {
+                if (!runMiddleware('incoming', payload)) return;
+                eventData = payload.detail;
+            }
+
+            // keep the last sticky event so we can replay it to frames that load later
+            if (options.sticky && !options.target && !options._eventId) {
+                eventData._stickyId = stringHash(originId + ':' + eventName + ':' + performance.now() + ':' + Math.random());
+                stickyEvents[eventName] = {
+                    data: JSON.parse(JSON.stringify(eventData)),
+                    options: { encrypt: options.encrypt, origins: options.origins, debug: options.debug }
+                };
+            }
+
+            // only fire event locally if we have no target or we are the target (retries only fire once)
+            // siblings scope passes through the parent without firing there
+            var inScope = !(payload.scope === 'siblings' && payload.hops === 1);
+            if (inScope && (!eventData._targetId || eventData._targetId === originId)) {
+                if (!eventData._ackId || acknowledge(eventData)) {
+                    dispatchLocal(eventName, eventData, payload.eventId);
+                }
+            }
+
+            // let middleware change or stop what leaves this window (without changing what local listeners received)
+            var hasOutgoing = hasMiddleware('outgoing');
+            if (hasOutgoing) {
+                payload.detail = JSON.parse(JSON.stringify(eventData));
+                if (!runMiddleware('outgoing', payload)) {
+                    notSent('stopped by middleware');
+                    return;
+                }
+            }
+
+            // add this window to the frames the event has passed through
+            payload.path = payload.path.concat(originId);
+
+            // relayed encrypted events are passed on as received (unless incoming or outgoing middleware could have changed them)
+            if (options._ciphertext && !hasOutgoing && !hasMiddleware('incoming')) {
+                payload.detail = options._ciphertext;
+            }
+            // if required, encrypt the payload before it leaves this window
+            else if (options.encrypt) {
+                encrypt(payload.detail, payload.type, defaults.encryptionKey).then(function(ciphertext) {
+                    payload.detail = 'BE:' + ciphertext;
+                    relayEvent(payload, origins, true, !eventData._stickyId);
+                })
+                .catch(function(err) {
+                    log('Failed to encrypt event data', err);
+                    record('dropped', payload, { direction: 'out', reason: 'encrypt failed' });
+                    notSent('encrypt failed');
+                });
+                return;
+            }
+
+            // events from other tabs have already been sent to every tab
+            // sticky events are replayed to frames that load later, so aren't buffered
+            relayEvent(payload, origins, !options._fromChannel, !eventData._stickyId);
+        }
+
+        /**
+         * Adds middleware hooks that can change or stop events
+         * @example
+         *  broadcastEvent.use({
+         *      outgoing: function(payload) { payload.detail.userId = '123'; },
+         *      incoming: function(payload) { if (payload.type === 'ads:track') return false; }
+         *  });
+         * @param {object} hooks - middleware hooks
+         * @param {function} [hooks.outgoing] - called with payload ({ type, detail, ... }) before it's sent to other frames
+         * @param {function} [hooks.incoming] - called with payload received from another frame before it's dispatched or relayed
+         * @returns {function} call to remove the hooks
+         */
+        function use(hooks) {
+
+            if (!hooks || (typeof hooks.outgoing !== 'function' && typeof hooks.incoming !== 'function')) {
+                throw new Error('use requires an outgoing or incoming function');
+            }
+
+            middleware.push(hooks);
+
+            return function() {
+                middleware = middleware.filter(function(item) {
+                    return item !== hooks;
+                });
+            };
+        }
+
+        /**
+         * Checks if any middleware hooks are registered for a direction
+         * @param {string} direction - outgoing or incoming
+         * @returns {boolean} true if there are hooks
+         */
+        function hasMiddleware(direction) {
+            return middleware.some(function(hooks) {
+                return typeof hooks[direction] === 'function';
+            });
+        }
+
+        /**
+         * Runs middleware hooks in the order they were added, stopping if one returns false
+         * @param {string} direction - outgoing or incoming
+         * @param {object} payload - event payload, hooks can change payload.detail
+         * @returns {boolean} true if the event should continue
+         */
+        function runMiddleware(direction, payload) {
+
+            // received payloads have already been counted as a hop
+            var historyDirection = (direction === 'incoming') ? 'in' : 'out';
+            var historyHops = (direction === 'incoming') ? payload.hops - 1 : payload.hops;
+
+            return middleware.slice().every(function(hooks) {
+
+                if (typeof hooks[direction] !== 'function') return true;
+
+                try {
+                    if (hooks[direction](payload) === false) {
+                        if (payload.debug) {
+                            log('stopped "' + payload.type + '" (' + direction + ')');
+                        }
+                        record('dropped', payload, { direction: historyDirection, reason: 'stopped by middleware', hops: historyHops });
+                        return false;
+                    }
+                }
+                catch (err) {
+                    // fail closed, hooks may be redacting data
+                    log('middleware error "' + payload.type + '"', err);
+                    record('dropped', payload, { direction: historyDirection, reason: 'middleware error', hops: historyHops });
+                    return false;
+                }
+
+                // hooks can replace the detail, but it must still be event data
+                if (!payload.detail || typeof payload.detail !== 'object') {
+                    log('middleware error "' + payload.type + '"', 'detail must be an object');
+                    record('dropped', payload, { direction: historyDirection, reason: 'middleware error', hops: historyHops });
+                    return false;
+                }
+
+                return true;
+            });
+        }
+
+        /**
+         * Sends a targeted event, resending until the target acknowledges receipt
+         * @param {string} eventName - event to dispatch
+         * @param {object} eventData - data to send
+         * @param {object} options - broadcastEvent options
+         * @returns {Promise} resolves when acknowledged, rejects naming the target if all attempts fail
+         */
+        function sendWithAck(eventName, eventData, options) {
+
+            var targetId = options.target;
+            var retries = (options.retries >= 0) ? options.retries : 2;
+            var timeout = (options.timeout > 0) ? options.timeout : 1000;
+            var attempts = 0;
+            var timer;
+
+            eventData._ackId = stringHash(originId + ':' + eventName + ':' + performance.now() + ':' + Math.random());
+
+            return new Promise(function(resolve, reject) {
+
+                /**
+                 * Resolves when the matching acknowledgement arrives
+                 * @param {CustomEvent} e - broadcast:ack event
+                 * @returns {void}
+                 */
+                function onAck(e) {
+
+                    if (!e.detail || e.detail._ackedId !== eventData._ackId) return;
+
+                    clearTimeout(timer);
+                    target.removeEventListener('broadcast:ack', onAck);
+                    resolve();
+                }
+
+                /**
+                 * Sends the event, rejecting once we run out of retries
+                 * @returns {void}
+                 */
+                function attempt() {
+
+                    if (attempts > retries) {
+                        target.removeEventListener('broadcast:ack', onAck);
+                        reject(new Error('No acknowledgement from target "' + targetId + '"'));
+                        return;
+                    }
+
+                    if (attempts > 0 && options.debug) {
+                        log('retrying "' + eventName + '"');
+                    }
+
+                    attempts++;
+                    timer = setTimeout(attempt, timeout);
+
+                    broadcastEvent(eventName, eventData, {
+                        target: targetId,
+                        encrypt: options.encrypt,
+                        origins: options.origins,
+                        scope: options.scope,
+                        maxHops: options.maxHops,
+                        debug: options.debug
+                    });
+                }
+
+                target.addEventListener('broadcast:ack', onAck);
+                attempt();
+            });
+        }
+
+        /**
+         * Sends an event that any frame can veto by calling preventDefault
+         * @param {string} eventName - event to dispatch
+         * @param {object} eventData - data to send
+         * @param {object} options - broadcastEvent options
+         * @returns {Promise<object>} resolves with { canceled: true, originId, href } when a frame vetoes, or { canceled: false } after the timeout
+         * (rejects if the event is never sent, so no frame had the chance to veto it)
+         */
+        function sendCancelable(eventName, eventData, options) {
+
+            var timeout = (options.timeout > 0) ? options.timeout : 1000;
+            var timer;
+
+            eventData._cancelId = stringHash(originId + ':' + eventName + ':' + performance.now() + ':' + Math.random());
+
+            return new Promise(function(resolve, reject) {
+
+                /**
+                 * Settles the promise, ignoring anything that arrives later
+                 * @param {Error|null} err - error if the event was never sent
+                 * @param {object} [result] - { canceled, originId, href }
+                 * @returns {void}
+                 */
+                function finish(err, result) {
+                    clearTimeout(timer);
+                    target.removeEventListener('broadcast:canceled', onCanceled);
+
+                    if (err) {
+                        reject(err);
+                    }
+                    else {
+                        resolve(result);
+                    }
+                }
+
+                /**
+                 * Resolves when the first frame vetoes the event
+                 * @param {CustomEvent} e - broadcast:canceled event
+                 * @returns {void}
+                 */
+                function onCanceled(e) {
+                    if (e.detail && e.detail._canceledId === eventData._cancelId) {
+                        finish(null, { canceled: true, originId: e.detail._originId, href: e.detail.href });
+                    }
+                }
+
+                // no veto from any frame in time
+                timer = setTimeout(function() {
+                    finish(null, { canceled: false });
+                }, timeout);
+
+                target.addEventListener('broadcast:canceled', onCanceled);
+
+                var sendOptions = {};
+                Object.keys(options).forEach(function(key) {
+                    if (key !== 'cancelable') {
+                        sendOptions[key] = options[key];
+                    }
+                });
+
+                // throttled or stopped events never reach a frame that could veto them
+                sendOptions._onNotSent = function(reason) {
+                    finish(new Error('Cancelable event "' + eventName + '" was not sent (' + reason + ')'));
+                };
+
+                broadcastEvent(eventName, eventData, sendOptions);
+            });
+        }
+
+        /**
+         * Tells the sender of a cancelable event that a listener in this window vetoed it
+         * @param {object} eventData - received event data (with _cancelId)
+         * @returns {void}
+         */
+        function reportCanceled(eventData) {
+
+            var isOwn = (eventData._originId === originId);
+
+            broadcastEvent('broadcast:canceled', { _canceledId: eventData._cancelId, href: sender }, {
+                target: eventData._originId,
+                scope: isOwn ? 'local' : undefined
+            });
+        }
+
+        /**
+         * Confirms receipt of an event back to the sender
+         * @param {object} eventData - received event data (with _ackId)
+         * @returns {boolean} true if this is the first time we've received it
+         */
+        function acknowledge(eventData) {
+
+            var key = 'ack:' + eventData._ackId;
+            var isFirst = !seenEvents.has(key);
+
+            // remembered (and expired) alongside recent event ids
+            seenEvents.add(key);
+
+            broadcastEvent('broadcast:ack', { _ackedId: eventData._ackId }, { target: eventData._originId });
+
+            return isFirst;
+        }
+
+        /**
+         * Fires an event in this window (CustomEvent and subscribers)
+         * @param {string} eventName - event to dispatch
+         * @param {object} eventData - event data
+         * @param {string} [eventId] - id of the event (used when reporting errors)
+         * @returns {void}
+         */
+        function dispatchLocal(eventName, eventData, eventId) {
+
+            // sticky events can arrive twice if a frame loads mid broadcast, only fire once
+            if (eventData._stickyId) {
+                if (stickySeen[eventName] === eventData._stickyId) return;
+                stickySeen[eventName] = eventData._stickyId;
+            }
+
+            // only report errors in handlers of events from other frames (and never errors about errors)
+            var report = defaults.reportErrors === true && eventData._originId !== originId && eventName !== 'broadcast:error';
+            var canListen = report && typeof root.addEventListener === 'function';
+            var errors = [];
+
+            /**
+             * Collects errors thrown by event listeners (browsers report them to the window, not dispatchEvent)
+             * @param {ErrorEvent} e - error event
+             * @returns {void}
+             */
+            function onError(e) {
+                errors.push(e.error || e.message);
+            }
+
+            if (canListen) root.addEventListener('error', onError);
+
+            var event = createEvent(eventName, eventData, !!eventData._cancelId);
+
+            try {
+                target.dispatchEvent(event);
+            }
+            finally {
+                if (canListen) root.removeEventListener('error', onError);
+            }
+
+            // a listener vetoed a cancelable event, let the sender know
+            if (eventData._cancelId && event.defaultPrevented) {
+                reportCanceled(eventData);
+            }
+
+            errors = errors.concat(notifySubscribers(eventName, eventData));
+
+            if (report) {
+                errors.forEach(function(err) {
+                    reportError(eventName, eventData, eventId, err);
+                });
+            }
+        }
+
+        /**
+         * Tells the frame that sent an event that one of our handlers threw
+         * @param {string} eventName - event the handler was called for
+         * @param {object} eventData - event data (with _originId of the sender)
+         * @param {string} eventId - id of the event
+         * @param {*} err - error thrown
+         * @returns {void}
+         */
+        function reportError(eventName, eventData, eventId, err) {
+
+            var message = (err && err.message) ? err.message : String(err);
+
+            broadcastEvent('broadcast:error', {
+                type: eventName,
+                eventId: eventId,
+                href: sender,
+                message: message
+            }, { target: eventData._originId });
+
+            if (defaults.debug) {
+                log('reported error in "' + eventName + '" handler to ' + eventData._originId);
+            }
+        }
+
+        /**
+         * Gets the rate limits for an event (per call options override defaults.limits)
+         * @param {string} eventName - event name
+         * @param {object} options - broadcastEvent options
+         * @returns {object} limits ({ throttle, debounce, maxPerSecond, cooldown })
+         */
+        function getLimits(eventName, options) {
+
+            var limits = {};
+            var configured = defaults.limits || {};
+
+            // exact name first, then the first matching pattern
+            var pattern = configured[eventName] ? eventName : Object.keys(configured).filter(function(key) {
+                return patternToRegExp(key).test(eventName);
+            })[0];
+
+            ['throttle', 'debounce', 'maxPerSecond', 'cooldown'].forEach(function(key) {
+                if (options[key] !== undefined) {
+                    limits[key] = options[key];
+                }
+                else if (pattern && configured[pattern][key] !== undefined) {
+                    limits[key] = configured[pattern][key];
+                }
+            });
+
+            return limits;
+        }
+
+        /**
+         * Gets the rate limiting state for an event
+         * @param {string} eventName - event name
+         * @returns {object} limiter state
+         */
+        function getLimiter(eventName) {
+            if (!limiters[eventName]) {
+                limiters[eventName] = { lastSent: 0, timer: null, pending: null, windowStart: 0, count: 0, pausedUntil: 0 };
+            }
+            return limiters[eventName];
+        }
+
+        /**
+         * Delays sending an event if it's debounced or throttled
+         * @param {string} eventName - event to dispatch
+         * @param {object} eventData - data to send
+         * @param {object} options - broadcastEvent options
+         * @returns {boolean} true if the event will be sent later instead
+         */
+        function deferSend(eventName, eventData, options) {
+
+            var limits = getLimits(eventName, options);
+            var wait = 0;
+
+            if (!(limits.debounce > 0) && !(limits.throttle > 0)) return false;
+
+            var limiter = getLimiter(eventName);
+            var now = Date.now();
+
+            if (limits.debounce > 0) {
+                clearTimeout(limiter.timer);
+                limiter.timer = null;
+                wait = limits.debounce;
+            }
+            else {
+                wait = limiter.lastSent + limits.throttle - now;
+
+                // outside the throttle window, send now
+                if (wait <= 0 && !limiter.timer) {
+                    limiter.lastSent = now;
+                    return false;
+                }
+            }
+
+            // only the latest data is sent
+            if (limiter.pending && typeof limiter.pending.options._onNotSent === 'function') {
+                limiter.pending.options._onNotSent('throttled');
+            }
+
+            limiter.pending = { data: eventData, options: options };
+
+            if (!limiter.timer) {
+                limiter.timer = setTimeout(function() {
+
+                    var pending = limiter.pending;
+
+                    limiter.timer = null;
+                    limiter.pending = null;
+                    limiter.lastSent = Date.now();
+
+                    var deferred = copyOptions(pending.options);
+                    deferred._deferred = true;
+
+                    broadcastEvent(eventName, pending.data, deferred);
+                }, Math.max(wait, 0));
+            }
+
+            if (options.debug) {
+                log('deferred "' + eventName + '"');
+            }
+
+            return true;
+        }
+
+        /**
+         * Counts an event against its maxPerSecond limit, pausing the event if it's exceeded (circuit breaker)
+         * @param {string} eventName - event being sent or relayed
+         * @param {object} limits - limits for the event (see getLimits)
+         * @param {boolean} debug - if true, logs dropped events
+         * @returns {boolean} true if the event should be dropped
+         */
+        function isRateLimited(eventName, limits, debug) {
+
+            if (!(limits.maxPerSecond > 0)) return false;
+
+            var limiter = getLimiter(eventName);
+            var now = Date.now();
+
+            // paused, drop everything until the cooldown ends
+            if (limiter.pausedUntil > now) {
+                if (debug || defaults.debug) {
+                    log('throttled "' + eventName + '"');
+                }
+                return true;
+            }
+
+            // count events in one second windows
+            if (now - limiter.windowStart >= 1000) {
+                limiter.windowStart = now;
+                limiter.count = 0;
+            }
+
+            limiter.count++;
+
+            if (limiter.count <= limits.maxPerSecond) return false;
+
+            limiter.pausedUntil = now + ((limits.cooldown >= 0) ? limits.cooldown : 1000);
+            limiter.windowStart = limiter.pausedUntil;
+            limiter.count = 0;
+
+            if (debug || defaults.debug) {
+                log('throttled "' + eventName + '"');
+            }
+
+            // let this window know the event has been paused
+            target.dispatchEvent(createEvent('broadcast:throttled', {
+                type: eventName, maxPerSecond: limits.maxPerSecond, pausedUntil: limiter.pausedUntil
+            }));
+
+            return true;
+        }
+
+        /**
+         * Sends sticky events to a frame that has just loaded
+         * @param {string} targetId - originId of the new frame
+         * @returns {void}
+         */
+        function replaySticky(targetId) {
+            Object.keys(stickyEvents).forEach(function(eventName) {
+
+                var sticky = stickyEvents[eventName];
+                var options = {
+                    target: targetId,
+                    encrypt: sticky.options.encrypt,
+                    origins: sticky.options.origins,
+                    debug: sticky.options.debug
+                };
+
+                if (options.debug) {
+                    log('replaying "' + eventName + '"');
+                }
+
+                broadcastEvent(eventName, JSON.parse(JSON.stringify(sticky.data)), options);
+            });
+        }
+
+        /**
+         * Gets the current value of shared state
+         * @example
+         *  var theme = broadcastEvent.state.get('theme');
+         * @param {string} key - state key
+         * @returns {*} value (undefined if not set)
+         */
+        function getState(key) {
+            var entry = stateEntries[key];
+            return entry ? JSON.parse(JSON.stringify(entry.value)) : undefined;
+        }
+
+        /**
+         * Sets shared state in every frame (the last write wins)
+         * @example
+         *  broadcastEvent.state.set('theme', 'dark');
+         * @param {string} key - state key
+         * @param {*} value - JSON value (undefined is stored as null)
+         * @returns {void}
+         */
+        function setState(key, value) {
+
+            if (!key || typeof key !== 'string') throw new Error('state key must be a string');
+
+            var entries = {};
+
+            stateClock++;
+
+            entries[key] = {
+                value: (value === undefined) ? null : JSON.parse(JSON.stringify(value)),
+                clock: stateClock,
+                originId: originId
+            };
+
+            applyState(key, entries[key]);
+            broadcastEvent('broadcast:state', { entries: entries }, { encrypt: !!defaults.encryptionKey });
+        }
+
+        /**
+         * Subscribe to changes of shared state
+         * @example
+         *  var unsubscribe = broadcastEvent.state.subscribe('theme', function(value, meta) { console.log(meta.key, value); });
+         * @param {string} pattern - state key, * matches anything (e.g. 'user:*' or '*')
+         * @param {function} fn - called with (value, { key, clock, originId }) when the value changes
+         * @returns {function} call to unsubscribe
+         */
+        function subscribeState(pattern, fn) {
+
+            if (typeof fn !== 'function') throw new Error('handler must be a function');
+
+            var sub = { regex: patternToRegExp(pattern), fn: fn };
+
+            stateSubscriptions.push(sub);
+
+            return function() {
+                stateSubscriptions = stateSubscriptions.filter(function(item) {
+                    return item !== sub;
+                });
+            };
+        }
+
+        /**
+         * Applies a state entry if it's newer than ours (higher clock, then higher originId, so every frame agrees)
+         * @param {string} key - state key
+         * @param {object} entry - state entry ({ value, clock, originId })
+         * @returns {void}
+         */
+        function applyState(key, entry) {
+
+            if (!entry || typeof entry.clock !== 'number' || typeof entry.originId !== 'string') return;
+
+            var current = stateEntries[key];
+
+            // keep our clock ahead of every write we've seen
+            stateClock = Math.max(stateClock, entry.clock);
+
+            if (current && (current.clock > entry.clock || (current.clock === entry.clock && current.originId >= entry.originId))) return;
+
+            stateEntries[key] = { value: entry.value, clock: entry.clock, originId: entry.originId };
+
+            if (current && JSON.stringify(current.value) === JSON.stringify(entry.value)) return;
+
+            var meta = { key: key, clock: entry.clock, originId: entry.originId };
+
+            stateSubscriptions.slice().forEach(function(sub) {
+
+                if (!sub.regex.test(key)) return;
+
+                try {
+                    sub.fn(getState(key), meta);
+                }
+                catch (err) {
+                    // don't let one handler break the others
+                    log('state handler error "' + key + '"', err);
+                }
+            });
+        }
+
+        /**
+         * Sends all shared state to a frame that has just loaded
+         * @param {string} targetId - originId of the new frame
+         * @returns {void}
+         */
+        function sendStateSnapshot(targetId) {
+
+            if (!Object.keys(stateEntries).length) return;
+
+            broadcastEvent('broadcast:state', { entries: JSON.parse(JSON.stringify(stateEntries)) }, {
+                target: targetId,
+                encrypt: !!defaults.encryptionKey
+            });
+        }
+
+        /**
+         * Works out which directions an event should travel from this frame
+         * @param {object} payload - event payload (with scope, hops and maxHops)
+         * @returns {object} route ({ up, down, channel })
+         */
+        function getRoute(payload) {
+
+            var atOrigin = !payload.hops;
+            var route = { up: true, down: true, channel: !payload.scope || payload.scope === 'all' };
+
+            switch (payload.scope) {
+                case 'local':
+                    route.up = false;
+                    route.down = false;
+                    break;
+                case 'up':
+                    route.up = atOrigin;
+                    route.down = false;
+                    break;
+                case 'down':
+                    route.up = false;
+                    route.down = atOrigin;
+                    break;
+                case 'ancestors':
+                    route.down = false;
+                    break;
+                case 'descendants':
+                    route.up = false;
+                    break;
+                case 'siblings':
+                    // up to the parent, which sends it down to its other children
+                    route.up = atOrigin;
+                    route.down = (payload.hops === 1);
+                    break;
+            }
+
+            // far enough, stop here
+            if (payload.maxHops >= 0 && payload.hops >= payload.maxHops) {
+                route.up = false;
+                route.down = false;
+                route.channel = false;
+            }
+
+            return route;
+        }
+
+        /**
+         * Sends an event payload up to the parent, down to all child frames and to other tabs (if connected)
+         * @param {object} payload - data to send
+         * @param {Array<string>} origins - origins the target windows are allowed to have
+         * @param {boolean} toChannel - if true, also sends to other tabs/windows via the channel
+         * @param {boolean} buffer - if true, keeps the event for child frames that are still loading
+         * @returns {void}
+         */
+        function relayEvent(payload, origins, toChannel, buffer) {
+
+            // sign what we send so other frames know it came from a frame with the key
+            if (defaults.signingKey) {
+                sign(payload, defaults.signingKey).then(function(sig) {
+                    payload.sig = sig;
+                    deliverEvent(payload, origins, toChannel, buffer);
+                })
+                .catch(function(err) {
+                    log('Failed to sign event "' + payload.type + '"', err);
+                    record('dropped', payload, { direction: 'out', reason: 'sign failed' });
+                });
+                return;
+            }
+
+            deliverEvent(payload, origins, toChannel, buffer);
+        }
+
+        /**
+         * Sends a (signed) event payload to the channel, parent and child frames the route allows
+         * @param {object} payload - data to send
+         * @param {Array<string>} origins - origins the target windows are allowed to have
+         * @param {boolean} toChannel - if true, also sends to other tabs/windows via the channel
+         * @param {boolean} buffer - if true, keeps the event for child frames that are still loading
+         * @returns {void}
+         */
+        function deliverEvent(payload, origins, toChannel, buffer) {
+
+            var route = getRoute(payload);
+            var toTabs = toChannel && route.channel && channel;
+            var parent = route.up ? getParentFrame() : null;
+            var children = route.down ? transport.children() : [];
+
+            record(payload.hops ? 'relayed' : 'sent', payload, {
+                to: [toTabs && 'channel', parent && 'parent', children.length && 'children'].filter(Boolean)
+            });
+
+            // send to other tabs/windows
+            if (toTabs) {
+                channel.send({ _broadcast: payload });
+                if (payload.debug) {
+                    log('sending "' + payload.type + '" across tabs');
+                }
+            }
+
+            // we're in an iframe, send to parent
+            if (parent) {
+                sendEvent(parent, payload, origins);
+                if (payload.debug) {
+                    log('sending "' + payload.type + '" up');
+                }
+            }
+
+            // send to all child frames
+            if (!route.down) return;
+
+            var expires = Date.now() + defaults.bufferTimeout;
+
+            buffer = buffer && defaults.bufferTimeout > 0;
+
+            forgetRemovedFrames(children);
+
+            if (buffer) {
+                rememberEvent({ payload: payload, origins: origins, expires: expires });
+            }
+
+            children.forEach(function(child) {
+
+                sendEvent(child, payload, origins);
+                if (payload.debug) {
+                    log('sending "' + payload.type + '" down');
+                }
+
+                // the frame may still be loading, keep the event until it's ready
+                var state = getChildState(child);
+                if (!state.ready && buffer) {
+                    bufferEvent(state, { payload: payload, origins: origins, expires: expires });
+                }
+            });
+        }
+
+        /**
+         * Gets the loading state of a child frame
+         * @param {*} frame - child frame (from transport.children)
+         * @returns {object} state ({ frame, ready, buffer })
+         */
+        function getChildState(frame) {
+
+            for (var i = 0; i < childStates.length; i++) {
+                if (childStates[i].frame === frame) return childStates[i];
+            }
+
+            var state = { frame: frame, ready: false, buffer: [] };
+            childStates.push(state);
+
+            return state;
+        }
+
+        /**
+         * Forgets the state of frames that have been removed
+         * @param {Array} children - current child frames
+         * @returns {void}
+         */
+        function forgetRemovedFrames(children) {
+            childStates = childStates.filter(function(state) {
+                return children.indexOf(state.frame) > -1;
+            });
+        }
+
+        /**
+         * Keeps an event for a frame that is still loading (oldest are dropped first)
+         * @param {object} state - child frame state
+         * @param {object} item - buffered event ({ payload, origins, expires })
+         * @returns {void}
+         */
+        function bufferEvent(state, item) {
+
+            var now = Date.now();
+
+            state.buffer = state.buffer.filter(function(buffered) {
+                return buffered.expires >= now;
+            });
+
+            state.buffer.push(item);
+
+            if (state.buffer.length > defaults.bufferSize) {
+                state.buffer.shift();
+            }
+        }
+
+        /**
+         * Remembers events sent down so frames added later can receive them
+         * @param {object} item - sent event ({ payload, origins, expires })
+         * @returns {void}
+         */
+        function rememberEvent(item) {
+
+            var now = Date.now();
+
+            sentEvents = sentEvents.filter(function(recent) {
+                return recent.expires >= now;
+            });
+
+            sentEvents.push(item);
+
+            if (sentEvents.length > defaults.bufferSize) {
+                sentEvents.shift();
+            }
+        }
+
+        /**
+         * Sends buffered events to a child frame that has announced it's ready
+         * @param {*} frame - child frame
+         * @returns {void}
+         */
+        function childReady(frame) {
+
+            var state = getChildState(frame);
+            var buffer = state.buffer;
+            var now = Date.now();
+
+            state.ready = true;
+            state.buffer = [];
+
+            buffer.forEach(function(item) {
+
+                if (item.expires < now) return;
+
+                // the frame may have received it already, it ignores duplicates
+                sendEvent(frame, item.payload, item.origins);
+                if (item.payload.debug) {
+                    log('sending "' + item.payload.type + '" to loaded frame');
+                }
+            });
+        }
+
+        /**
+         * Starts buffering events for a child frame that is unloading (it may be reloading)
+         * @param {*} frame - child frame
+         * @returns {void}
+         */
+        function childLeft(frame) {
+            getChildState(frame).ready = false;
+        }
+
+        /**
+         * Buffers recent events for a child frame that has just been added to the page
+         * @param {*} frame - new child frame
+         * @returns {void}
+         */
+        function childAdded(frame) {
+
+            var state = getChildState(frame);
+            var now = Date.now();
+            var expires = now + defaults.bufferTimeout;
+
+            state.ready = false;
+
+            if (!(defaults.bufferTimeout > 0)) return;
+
+            sentEvents.forEach(function(item) {
+                if (item.expires >= now) {
+                    bufferEvent(state, { payload: item.payload, origins: item.origins, expires: expires });
+                }
+            });
+        }
+
+        /**
+         * Gets the frame events are sent up to (the window that opened us, if joined and we're not in a frame)
+         * @returns {*} parent frame (null if top)
+         */
+        function getParentFrame() {
+
+            var parent = transport.parent();
+
+            if (!parent && useOpener && typeof transport.opener === 'function') {
+                parent = transport.opener();
+            }
+
+            return parent || null;
+        }
+
+        /**
+         * Treats the window that opened this one as its parent, so they can exchange events
+         * (only call this if you trust the opener, any site can open your page)
+         * @example
+         *  // in the popup
+         *  broadcastEvent.joinOpener();
+         * @returns {void}
+         */
+        function joinOpener() {
+
+            if (useOpener) return;
+
+            if (typeof transport.opener !== 'function') throw new Error('joinOpener is not supported by this transport');
+
+            useOpener = true;
+
+            // let the opener know we're here
+            if (getParentFrame()) {
+                announce();
+            }
+        }
+
+        /**
+         * Adds a window we opened (popup, dialog) to the broadcast tree until it's closed
+         * @example
+         *  broadcastEvent.attachWindow(window.open('/oauth.html'));
+         * @param {Window} win - window opened by this window
+         * @returns {void}
+         */
+        function attachWindow(win) {
+
+            if (typeof transport.attach !== 'function') throw new Error('attachWindow is not supported by this transport');
+            if (!win) return;
+
+            var isAttached = attachedWindows.some(function(item) {
+                return item.frame === win;
+            });
+
+            if (isAttached) return;
+
+            var attached = { frame: win, originId: null };
+            attachedWindows.push(attached);
+
+            transport.attach(win, function() {
+
+                attachedWindows.splice(attachedWindows.indexOf(attached), 1);
+                forgetRemovedFrames(transport.children());
+
+                // it may have closed without saying goodbye
+                if (attached.originId) {
+                    removePeer(attached.originId);
+                }
+            });
+
+            // it's probably still loading, keep events until it announces itself
+            childAdded(win);
+        }
+
+        /**
+         * Subscribe to events matching a pattern
+         * @example
+         *  var unsubscribe = broadcastEvent.on('mobile:*', function(data, meta) { console.log(meta.type, data); });
+         * @param {string} pattern - event name, * matches anything (e.g. 'mobile:*' or '*')
+         * @param {function} fn - called with (eventData, { type, originId, targetId })
+         * @returns {function} call to unsubscribe
+         */
+        function on(pattern, fn) {
+            return subscribe(pattern, fn, false);
+        }
+
+        /**
+         * Subscribe to the next event matching a pattern
+         * @param {string} pattern - event name, * matches anything (e.g. 'mobile:*' or '*')
+         * @param {function} fn - called with (eventData, { type, originId, targetId })
+         * @returns {function} call to unsubscribe
+         */
+        function once(pattern, fn) {
+            return subscribe(pattern, fn, true);
+        }
+
+        /**
+         * Unsubscribe from events
+         * @param {string} pattern - pattern passed to on/once
+         * @param {function} [fn] - handler passed to on/once (default all handlers for pattern)
+         * @returns {void}
+         */
+        function off(pattern, fn) {
+            pattern = String(pattern || '');
+            subscriptions = subscriptions.filter(function(sub) {
+                return !(sub.pattern === pattern && (!fn || sub.fn === fn));
+            });
+        }
+
+        /**
+         * Adds a subscription
+         * @param {string} pattern - event name, * matches anything
+         * @param {function} fn - handler
+         * @param {boolean} removeAfterFirst - if true, unsubscribes after first call
+         * @returns {function} call to unsubscribe
+         */
+        function subscribe(pattern, fn, removeAfterFirst) {
+
+            if (typeof fn !== 'function') throw new Error('handler must be a function');
+
+            var sub = {
+                pattern: String(pattern || ''),
+                regex: patternToRegExp(pattern),
+                fn: fn,
+                once: removeAfterFirst
+            };
+
+            subscriptions.push(sub);
+
+            return function() {
+                subscriptions = subscriptions.filter(function(item) {
+                    return item !== sub;
+                });
+            };
+        }
+
+        /**
+         * Calls subscribers with a pattern matching the event name
+         * @param {string} eventName - event being dispatched
+         * @param {object} eventData - event data
+         * @returns {Array} errors thrown by subscribers
+         */
+        function notifySubscribers(eventName, eventData) {
+
+            var errors = [];
+
+            var meta = {
+                type: eventName,
+                originId: eventData._originId,
+                targetId: eventData._targetId
+            };
+
+            // copy, handlers may unsubscribe while we loop
+            subscriptions.slice().forEach(function(sub) {
+
+                if (!sub.regex.test(eventName)) return;
+
+                if (sub.once) {
+                    subscriptions = subscriptions.filter(function(item) {
+                        return item !== sub;
+                    });
+                }
+
+                try {
+                    sub.fn(eventData, meta);
+                }
+                catch (err) {
+                    // don't let one handler break the others
+                    log('handler error "' + eventName + '"', err);
+                    errors.push(err);
+                }
+            });
+
+            return errors;
+        }
+
+        /**
+         * Broadcast an event and wait for a frame to reply (see handle)
+         * @example
+         *  broadcastEvent.request('scanner:status', {}, { timeout: 2000 }).then(function(status) { ... });
+         * @param {string} eventName - event to dispatch
+         * @param {object} [eventData={}] - optional data to send
+         * @param {object} [options={}] - broadcastEvent options
+         * @param {number} [options.timeout=5000] - milliseconds to wait for a reply
+         * @returns {Promise<*>} resolves with the handler result, rejects on timeout or if the handler throws
+         */
+        function request(eventName, eventData, options) {
+
+            if (eventData && typeof eventData !== 'object') throw new Error('eventData must be an object');
+
+            eventName = String(eventName || '') || '';
+            eventData = eventData || {};
+            options = options || {};
+
+            var timeout = (options.timeout > 0) ? options.timeout : 5000;
+            var requestId = stringHash(originId + ':' + eventName + ':' + performance.now() + ':' + Math.random());
+            var replyName = eventName + ':reply';
+
+            eventData._requestId = requestId;
+
+            // the reply must be as private as the request (sent inside the request so it can't be changed in transit)
+            eventData._replyOptions = { encrypt: options.encrypt === true, origins: options.origins };
+
+            return new Promise(function(resolve, reject) {
+
+                var timer = setTimeout(function() {
+                    target.removeEventListener(replyName, onReply);
+                    reject(new Error('Request "' + eventName + '" timed out after ' + timeout + 'ms'));
+                }, timeout);
+
+                /**
+                 * Settles the request when the matching reply arrives (first reply wins)
+                 * @param {CustomEvent} e - reply event
+                 * @returns {void}
+                 */
+                function onReply(e) {
+
+                    if (!e.detail || e.detail._requestId !== requestId) return;
+
+                    clearTimeout(timer);
+                    target.removeEventListener(replyName, onReply);
+
+                    if (e.detail.error) {
+                        reject(new Error(e.detail.error));
+                    }
+                    else {
+                        resolve(e.detail.result);
+                    }
+                }
+
+                target.addEventListener(replyName, onReply);
+
+                broadcastEvent(eventName, eventData, options);
+            });
+        }
+
+        /**
+         * Reply to requests for an event (see request)
+         * @example
+         *  broadcastEvent.handle('scanner:status', function(data) { return { connected: true }; });
+         * @param {string} eventName - event to handle
+         * @param {function} fn - called with event data, returns the result (or a Promise)
+         * @returns {function} call to stop handling requests
+         */
+        function handle(eventName, fn) {
+
+            if (typeof fn !== 'function') throw new Error('handler must be a function');
+
+            eventName = String(eventName || '') || '';
+
+            /**
+             * Runs the handler and sends the result back to the requesting frame
+             * @param {CustomEvent} e - request event
+             * @returns {void}
+             */
+            function onRequest(e) {
+
+                // ignore plain broadcasts
+                if (!e.detail || !e.detail._requestId) return;
+
+                var detail = e.detail;
+                var reply = { _requestId: detail._requestId };
+                var replyOptions = detail._replyOptions || {};
+
+                new Promise(function(resolve) {
+                    resolve(fn(detail));
+                })
+                .then(function(result) {
+                    reply.result = result;
+                })
+                .catch(function(err) {
+                    reply.error = (err && err.message) || String(err || 'Request failed');
+                })
+                .then(function() {
+                    broadcastEvent(eventName + ':reply', reply, {
+                        target: detail._originId,
+                        encrypt: replyOptions.encrypt === true,
+                        origins: replyOptions.origins
+                    });
+                });
+            }
+
+            target.addEventListener(eventName, onRequest);
+
+            return function() {
+                target.removeEventListener(eventName, onRequest);
+            };
+        }
+
+        /**
+         * Defines the shape of an event's data using JSON Schema, checked when sending and receiving
+         * @example
+         *  broadcastEvent.defineEvent('mobile:ready', {
+         *      type: 'object',
+         *      properties: { token: { type: 'string' } },
+         *      required: ['token']
+         *  });
+         * @param {string} eventName - event to validate
+         * @param {object|null} schema - JSON Schema for the event data (null to remove)
+         * @returns {void}
+         * @throws {Error} if the schema uses keywords that aren't supported or an invalid pattern
+         */
+        function defineEvent(eventName, schema) {
+
+            eventName = String(eventName || '') || '';
+
+            if (!schema) {
+                delete schemas[eventName];
+                return;
+            }
+
+            if (typeof schema !== 'object') throw new Error('schema must be an object');
+
+            schemas[eventName] = compileSchema(schema, 'schema');
+        }
+
+        /**
+         * Creates an isolated bus with its own originId, defaults, listeners and dedupe cache
+         * @example
+         *  var scannerBus = broadcastEvent.createBus({ namespace: 'scanner' });
+         *  scannerBus.on('ready', function(data) { ... });
+         *  scannerBus('ready', { version: 2 });
+         * @param {object} options - bus options
+         * @param {string} options.namespace - name of the bus, must match in every frame
+         * @returns {function} broadcastEvent for the bus (the same bus if called again with the same namespace)
+         */
+        function createBus(options) {
+
+            var name = String((options && options.namespace) || '');
+
+            if (!name) throw new Error('createBus requires a namespace');
+
+            if (!Object.prototype.hasOwnProperty.call(buses, name)) {
+                buses[name] = createBroadcastEvent(transport, { namespace: name, _buses: buses, _frameVersions: frameVersions });
+            }
+
+            return buses[name];
+        }
+
+        /**
+         * Lists other frames running broadcast-event that we know about
+         * @returns {Array<object>} peers ({ originId, href, depth, parentId })
+         */
+        function listPeers() {
+            return Object.keys(peers).map(function(id) {
+                return copyPeer(peers[id]);
+            });
+        }
+
+        /**
+         * Removes a peer and its nested frames (they unload with it, so may not say goodbye)
+         * @param {string} id - originId of the peer
+         * @returns {void}
+         */
+        function removePeer(id) {
+
+            if (!peers[id]) return;
+
+            var peer = copyPeer(peers[id]);
+
+            delete peers[id];
+
+            target.dispatchEvent(createEvent('peer:left', peer));
+
+            Object.keys(peers).forEach(function(childId) {
+                if (peers[childId] && peers[childId].parentId === id) {
+                    removePeer(childId);
+                }
+            });
+        }
+
+        /**
+         * Asks every frame to announce itself
+         * @param {number} [timeout=250] - milliseconds to wait for announcements
+         * @returns {Promise<Array<object>>} resolves with the list of peers
+         */
+        function discover(timeout) {
+
+            broadcastEvent('peer:discover', {});
+
+            return new Promise(function(resolve) {
+                setTimeout(function() {
+                    resolve(listPeers());
+                }, (timeout >= 0) ? timeout : 250);
+            });
+        }
+
+        /**
+         * Takes part in electing one leader among the frames in a group (e.g. to open one websocket)
+         * @example
+         *  broadcastEvent.elect('scanner', function(leaderId, info) { if (info.isLeader) connect(); else disconnect(); });
+         * @param {string} group - name of the group
+         * @param {function} fn - called with (leaderId, { group, isLeader }) when the leader changes
+         * @param {object} [options={}] - election options
+         * @param {number} [options.timeout=250] - milliseconds to wait for other members before choosing a leader
+         * @returns {object} election ({ isLeader(), leader(), leave() })
+         */
+        function elect(group, fn, options) {
+
+            if (!group || typeof group !== 'string') throw new Error('elect requires a group name');
+            if (typeof fn !== 'function') throw new Error('handler must be a function');
+            if (elections[group]) throw new Error('Already taking part in election "' + group + '"');
+
+            options = options || {};
+
+            var election = { members: {}, claims: [], leaderId: null, settled: false, fn: fn, timeout: (options.timeout >= 0) ? options.timeout : 250 };
+
+            elections[group] = election;
+            joinElection(group);
+
+            return {
+                isLeader: function() {
+                    return election.leaderId === originId;
+                },
+                leader: function() {
+                    return election.leaderId;
+                },
+                leave: function() {
+                    if (elections[group] !== election) return;
+                    delete elections[group];
+                    broadcastEvent('broadcast:elect', { group: group, action: 'leave' });
+                }
+            };
+        }
+
+        /**
+         * Asks the other members of a group who leads, choosing a leader once they've had time to reply
+         * @param {string} group - name of the group
+         * @returns {void}
+         */
+        function joinElection(group) {
+
+            var election = elections[group];
+
+            election.members = {};
+            election.members[originId] = true;
+            election.claims = [];
+            election.settled = false;
+
+            broadcastEvent('broadcast:elect', { group: group, action: 'join', leaderId: null });
+
+            // keep an existing leader, otherwise every member picks the lowest originId
+            setTimeout(function() {
+
+                if (elections[group] !== election || election.settled) return;
+
+                election.settled = true;
+                setLeader(group, lowestId(election.claims.length ? election.claims : Object.keys(election.members)));
+            }, election.timeout);
+        }
+
+        /**
+         * Changes the leader of a group, letting the member know
+         * @param {string} group - name of the group
+         * @param {string} leaderId - originId of the new leader
+         * @returns {void}
+         */
+        function setLeader(group, leaderId) {
+
+            var election = elections[group];
+
+            if (!election || election.leaderId === leaderId) return;
+
+            election.leaderId = leaderId;
+
+            try {
+                election.fn(leaderId, { group: group, isLeader: leaderId === originId });
+            }
+            catch (err) {
+                log('election handler error "' + group + '"', err);
+            }
+        }
+
+        /**
+         * Removes a member from a group, handing over leadership if it was the leader
+         * @param {string} group - name of the group
+         * @param {string} id - originId of the member
+         * @returns {void}
+         */
+        function removeMember(group, id) {
+
+            var election = elections[group];
+
+            if (!election || !election.members[id]) return;
+
+            delete election.members[id];
+
+            election.claims = election.claims.filter(function(claim) {
+                return claim !== id;
+            });
+
+            if (election.settled && election.leaderId === id) {
+                setLeader(group, lowestId(Object.keys(election.members)));
+            }
+        }
+
+        /**
+         * Tells other frames about this instance
+         * @param {string} [targetId] - originId of frame to announce to (default all)
+         * @returns {void}
+         */
+        function announce(targetId) {
+            broadcastEvent('peer:announce', {
+                href: sender,
+                depth: transport.depth(),
+                parentId: parentId
+            }, { target: targetId });
+        }
+
+        /**
+         * Records the originId of our parent frame, re-announcing if it changed
+         * @param {string} id - parent originId
+         * @returns {void}
+         */
+        function setParentId(id) {
+            if (!id || id === parentId) return;
+            parentId = id;
+            announce();
+        }
+
+        /**
+         * Checks if an event has already been sent by this instance
+         * @param {object} payload - data to be sent
+         * @returns {boolean} true if broadcast of false
+         */
+        function alreadyBroadcast(payload) {
+
+            // see if we have already sent this previoulsey (resending causes an event loop)
+            if (payload.eventId && seenEvents.has(payload.eventId)) return true;
+
+            // this uniquley identifies the event everywhere it goes, so we can prevent rebroadcasts
+            if (!payload.eventId) {
+                payload.eventId = stringHash(sender + ':' + payload.type + ':' + performance.now() + ':' + Math.random());
+            }
+
+            // copies can arrive by postMessage and channel
+            seenEvents.add(payload.eventId);
+
+            // 1.x versions dedupe using a list of ids, added to by each frame it passes through
+            if (!payload.eventIds) {
+                payload.eventIds = [payload.eventId];
+            }
+
+            return false;
+        }
+
+        /**
+         * console.log helper
+         * @returns {void}
+         */
+        function log() {
+            var args = [].slice.call(arguments);
+            var params = ['broadcast-event' + (namespace ? ':' + namespace : '') + '[' + sender + ']'].concat(args);
+            console.log.apply(console, params);
+        }
+
+        /**
+         * Adds a broadcast to the history (oldest entries are dropped first, event data is never kept)
+         * @param {string} action - sent, received, relayed, suppressed or dropped
+         * @param {object} payload - broadcast payload
+         * @param {object} [info={}] - details of what happened
+         * @param {string} [info.direction] - in or out (default out for sent/relayed, otherwise in)
+         * @param {string} [info.from] - where a received event came from (parent, child or channel)
+         * @param {Array<string>} [info.to] - where a sent or relayed event went (parent, children, channel)
+         * @param {string} [info.reason] - why the event was dropped
+         * @param {number} [info.hops] - frames between the sender and this window (default payload.hops)
+         * @returns {void}
+         */
+        function record(action, payload, info) {
+
+            if (!(defaults.historySize > 0)) return;
+
+            info = info || {};
+
+            var detail = (payload.detail && typeof payload.detail === 'object') ? payload.detail : {};
+            var isOut = (action === 'sent' || action === 'relayed');
+
+            var entry = {
+                time: Date.now(),
+                action: action,
+                direction: info.direction || (isOut ? 'out' : 'in'),
+                type: payload.type,
+                eventId: payload.eventId || null,
+                originId: detail._originId || null,
+                targetId: detail._targetId || null,
+                hops: (info.hops >= 0) ? info.hops : (payload.hops || 0),
+                path: getPath(payload),
+                encrypted: typeof payload.detail === 'string'
+            };
+
+            if (info.from) entry.from = info.from;
+            if (info.to) entry.to = info.to;
+            if (info.reason) entry.reason = info.reason;
+
+            historyEntries.push(entry);
+
+            while (historyEntries.length > defaults.historySize) {
+                historyEntries.shift();
+            }
+        }
+
+        /**
+         * Gets recent broadcasts sent, received, relayed, suppressed or dropped by this window (oldest first)
+         * @example
+         *  broadcastEvent.history({ type: 'mobile:*', since: Date.now() - 60000 });
+         * @param {object} [filter={}] - only include matching entries
+         * @param {string} [filter.type] - event name, * matches anything (e.g. 'mobile:*')
+         * @param {number} [filter.since] - only entries at or after this time (ms since epoch)
+         * @returns {Array<object>} history entries ({ time, action, direction, type, eventId, originId, targetId, hops, path, encrypted, from, to, reason })
+         */
+        function history(filter) {
+
+            filter = filter || {};
+
+            var regex = filter.type ? patternToRegExp(filter.type) : null;
+
+            return historyEntries.filter(function(entry) {
+                if (regex && !regex.test(entry.type)) return false;
+                if (filter.since && entry.time < filter.since) return false;
+                return true;
+            })
+            .map(function(entry) {
+                return JSON.parse(JSON.stringify(entry));
+            });
+        }
+
+        /**
+         * Exports the history as JSON, to attach to support tickets
+         * @param {object} [filter={}] - only include matching entries (see history)
+         * @returns {string} JSON ({ href, originId, namespace, protocolVersion, exported, entries })
+         */
+        function exportHistory(filter) {
+            return JSON.stringify({
+                href: sender,
+                originId: originId,
+                namespace: namespace,
+                protocolVersion: protocolVersion,
+                exported: Date.now(),
+                entries: history(filter)
+            }, null, 2);
+        }
+
+        /**
+         * Send an event to another frame using the transport
+         * @param {*} frame - frame to send message to (from transport.parent/children)
+         * @param {object} payload - data to send
+         * @param {Array<string>} origins - origins the target frame is allowed to have
+         * @returns {void}
+         */
+        function sendEvent(frame, payload, origins) {
+
+            // 1.x frames can't decrypt, read newer versions, keep buses apart, limit origins or stop relaying at a scope or hop limit
+            var needsCurrent = typeof payload.detail !== 'object' || payload.v !== protocolVersion || payload.ns || payload.origins ||
+                (payload.scope && payload.scope !== 'all') || payload.maxHops >= 0;
+
+            // frames running 1.x get the envelope they understand
+            if (frameVersions.legacy.indexOf(frame) > -1) {
+
+                if (needsCurrent) {
+                    if (payload.debug) {
+                        log('skipped "' + payload.type + '" for 1.x frame');
+                    }
+                    return;
+                }
+
+                payload = { type: payload.type, detail: payload.detail, eventIds: payload.eventIds, debug: payload.debug };
+            }
+            // a frame that hasn't sent us anything may be a 1.x frame that only listens, hold it until we know
+            else if (needsCurrent && frameVersions.current.indexOf(frame) === -1) {
+                holdEvent(frame, payload, origins);
+                return;
+            }
+
+            try {
+                transport.send(frame, { _broadcast: payload }, origins);
+            }
+            catch (err) {
+                // Ignore cross-origin frame errors
+                log('send error', err);
+            }
+        }
+
+        /**
+         * Keeps an event for a frame until it sends a current message (dropped after bufferTimeout)
+         * @param {*} frame - frame to send message to
+         * @param {object} payload - data to send
+         * @param {Array<string>} origins - origins the target frame is allowed to have
+         * @returns {void}
+         */
+        function holdEvent(frame, payload, origins) {
+
+            var now = Date.now();
+            var held = null;
+
+            // forget frames that never sent anything once their events expire
+            heldEvents = heldEvents.filter(function(state) {
+
+                if (state.frame === frame) {
+                    held = state;
+                    return true;
+                }
+
+                return state.buffer.some(function(item) {
+                    return item.expires >= now;
+                });
+            });
+
+            if (!held) {
+                held = { frame: frame, buffer: [] };
+                heldEvents.push(held);
+            }
+
+            bufferEvent(held, { payload: payload, origins: origins, expires: now + defaults.bufferTimeout });
+
+            if (payload.debug) {
+                log('holding "' + payload.type + '" until frame version is known');
+            }
+        }
+
+        /**
+         * Records the protocol version of a frame that sent us a message, sending it any events held for it
+         * @param {*} frame - neighbouring frame
+         * @param {number} version - protocol version of the message (1 for 1.x)
+         * @returns {void}
+         */
+        function setFrameVersion(frame, version) {
+
+            if (!frame) return;
+
+            var list = (version === 1) ? frameVersions.legacy : frameVersions.current;
+
+            if (list.indexOf(frame) === -1) {
+                list.push(frame);
+            }
+
+            var now = Date.now();
+
+            heldEvents = heldEvents.filter(function(state) {
+
+                if (state.frame !== frame) return true;
+
+                // 1.x frames skip what was held for them
+                state.buffer.forEach(function(item) {
+                    if (item.expires >= now) {
+                        sendEvent(frame, item.payload, item.origins);
+                    }
+                });
+
+                return false;
+            });
+        }
+
+        /**
+         * Connects this window to other tabs/windows on the same origin using BroadcastChannel
+         * (falls back to storage events)
+         * @example
+         *  broadcastEvent.openChannel('orca-scan');
+         * @param {string} [name='broadcast-event'] - channel name, must match in every tab
+         * @returns {void}
+         */
+        function openChannel(name) {
+
+            var key = 'broadcast-event:' + String(name || 'broadcast-event');
+
+            closeChannel();
+
+            if (typeof root.BroadcastChannel === 'function') {
+                var broadcastChannel = new root.BroadcastChannel(key);
+
+                broadcastChannel.onmessage = function(e) {
+                    receiveFromChannel(e.data);
+                };
+
+                channel = {
+                    send: function(message) {
+                        broadcastChannel.postMessage(message);
+                    },
+                    close: function() {
+                        broadcastChannel.close();
+                    }
+                };
+            }
+            else if (root.localStorage) {
+
+                /**
+                 * Receives messages written to localStorage by other tabs
+                 * @param {StorageEvent} e - storage event
+                 * @returns {void}
+                 */
+                var onStorage = function(e) {
+                    if (e.key !== key || !e.newValue) return;
+                    try {
+                        receiveFromChannel(JSON.parse(e.newValue));
+                    }
+                    catch (err) {
+                        log('Failed to read channel message', err);
+                    }
+                };
+
+                transport.target.addEventListener('storage', onStorage);
+
+                channel = {
+                    send: function(message) {
+                        try {
+                            // writing then removing fires a storage event in every other tab
+                            root.localStorage.setItem(key, JSON.stringify(message));
+                            root.localStorage.removeItem(key);
+                        }
+                        catch (err) {
+                            log('localStorage error', err);
+                        }
+                    },
+                    close: function() {
+                        transport.target.removeEventListener('storage', onStorage);
+                    }
+                };
+            }
+            else {
+                throw new Error('BroadcastChannel or localStorage is required');
+            }
+        }
+
+        /**
+         * Disconnects this window from other tabs/windows
+         * @returns {void}
+         */
+        function closeChannel() {
+            if (channel) {
+                channel.close();
+                channel = null;
+            }
+        }
+
+        /**
+         * Handles a message from another tab/window
+         * @param {object} data - channel message
+         * @returns {void}
+         */
+        function receiveFromChannel(data) {
+
+            var broadcast = getBroadcast(data);
+            if (!broadcast || (broadcast.ns || '') !== namespace) return;
+
+            checkSignature(broadcast).then(function(valid) {
+                if (valid) {
+                    record('received', broadcast, { from: 'channel' });
+                    receiveBroadcast(broadcast, true);
+                }
+            })
+            .catch(function(err) {
+                dropBroken(broadcast, err);
+            });
+        }
+
+        /**
+         * Checks a received broadcast is signed with our signing key and isn't a replay (if signing is enabled)
+         * @param {object} broadcast - received payload
+         * @returns {Promise<boolean>} resolves true if the broadcast can be trusted
+         */
+        function checkSignature(broadcast) {
+
+            if (!defaults.signingKey) return Promise.resolve(true);
+
+            var sig = broadcast.sig;
+            var maxAge = (defaults.signatureMaxAge > 0) ? defaults.signatureMaxAge : 30000;
+
+            /**
+             * Logs why a broadcast was rejected
+             * @param {string} reason - reason for rejecting
+             * @returns {boolean} false
+             */
+            function reject(reason) {
+                if (broadcast.debug || defaults.debug) {
+                    log('rejected "' + broadcast.type + '" (' + reason + ')');
+                }
+                record('dropped', broadcast, { reason: reason });
+                return false;
+            }
+
+            if (!sig || typeof sig.mac !== 'string' || typeof sig.nonce !== 'string' || typeof sig.ts !== 'number') {
+                return Promise.resolve(reject('unsigned'));
+            }
+
+            // allow for clocks being a little out between frames
+            if (Math.abs(Date.now() - sig.ts) > maxAge) {
+                return Promise.resolve(reject('expired'));
+            }
+
+            // remember nonces for as long as messages using them could be accepted
+            nonceSettings.dedupeTtl = maxAge * 2;
+
+            if (seenNonces.has(sig.nonce)) {
+                return Promise.resolve(reject('replayed'));
+            }
+
+            return verify(broadcast, defaults.signingKey).then(function(valid) {
+
+                if (!valid) return reject('invalid signature');
+
+                seenNonces.add(sig.nonce);
+                return true;
+            })
+            .catch(function() {
+                return reject('invalid signature');
+            });
+        }
+
+        /**
+         * Processes a received broadcast, dispatching it locally and relaying it on
+         * @param {object} broadcast - received payload
+         * @param {boolean} fromChannel - true if received from another tab/window
+         * @returns {void}
+         */
+        function receiveBroadcast(broadcast, fromChannel) {
+
+            if (broadcast.debug) {
+                log('received "' + broadcast.type + '"');
+            }
+
+            // a newer version we can't read, pass it on untouched but never dispatch it
+            if (broadcast.v > protocolVersion) {
+                if (broadcast.eventId) {
+                    relayUnread(broadcast, fromChannel);
+                }
+                return;
+            }
+
+            var options = {
+                _eventId: broadcast.eventId,
+                _eventIds: broadcast.eventIds,
+                _hops: (broadcast.hops || 0) + 1,
+                _path: getPath(broadcast),
+                _fromChannel: fromChannel,
+                scope: broadcast.scope,
+                maxHops: broadcast.maxHops,
+                origins: broadcast.origins,
+                debug: broadcast.debug
+            };
+
+            // is the event data encrypted?
+            if (typeof broadcast.detail === 'string') {
+
+                if (broadcast.detail.indexOf('BE:') !== 0) return;
+
+                // we can't read it, pass it on untouched but never dispatch it
+                if (!defaults.encryptionKey) {
+                    relayUnread(broadcast, fromChannel);
+                    return;
+                }
+
+                options.encrypt = true;
+                options._ciphertext = broadcast.detail;
+
+                // fail closed, tampered or unreadable events are dropped
+                decrypt(broadcast.detail.substring(3), broadcast.type, defaults.encryptionKey).then(function(detail) {
+                    if (isValidBroadcast(broadcast, detail)) {
+                        broadcastEvent(broadcast.type, detail, options);
+                    }
+                })
+                .catch(function() {
+                    log('Failed to decrypt event data "' + broadcast.type + '"');
+                    record('dropped', broadcast, { reason: 'decrypt failed' });
+                });
+                return;
+            }
+
+            if (isValidBroadcast(broadcast, broadcast.detail)) {
+                broadcastEvent(broadcast.type, broadcast.detail, options);
+            }
+        }
+
+        /**
+         * Relays a broadcast this window can't read (encrypted or a newer version) without dispatching it
+         * @param {object} broadcast - received payload
+         * @param {boolean} fromChannel - true if received from another tab/window
+         * @returns {void}
+         */
+        function relayUnread(broadcast, fromChannel) {
+
+            if (alreadyBroadcast(broadcast)) {
+                if (broadcast.debug) {
+                    log('suppressed "' + broadcast.type + '"');
+                }
+                return;
+            }
+
+            var origins = intersectOrigins(broadcast.origins, defaults.origins);
+
+            if (broadcast.origins) {
+                broadcast.origins = origins;
+            }
+
+            broadcast.hops = (broadcast.hops || 0) + 1;
+            broadcast.path = getPath(broadcast).concat(originId);
+            relayEvent(broadcast, origins, !fromChannel, true);
+        }
+
+        /**
+         * Checks received event data matches its schema (see defineEvent), reporting it if not
+         * @param {object} broadcast - received payload
+         * @param {object} eventData - received event data (decrypted)
+         * @returns {boolean} true if valid or no schema defined
+         */
+        function isValidBroadcast(broadcast, eventData) {
+
+            var eventName = broadcast.type;
+
+            if (!schemas[eventName]) return true;
+
+            var errors = validateEventData(eventData, schemas[eventName]);
+            if (!errors.length) return true;
+
+            if (broadcast.debug || defaults.debug) {
+                log('invalid "' + eventName + '"', errors);
+            }
+
+            record('dropped', { type: eventName, detail: eventData, eventId: broadcast.eventId, hops: broadcast.hops }, { reason: 'invalid' });
+
+            // drop it, but let this window know
+            target.dispatchEvent(createEvent('broadcast:invalid', {
+                type: eventName, errors: errors, originId: eventData._originId
+            }));
+
+            return false;
+        }
+
+        /**
+         * handles incoming messages and processes event dispatching
+         * @param {object} data - received message
+         * @param {*} source - frame that sent the message
+         * @param {string} origin - origin of the sending frame
+         * @returns {void}
+         */
+        transport.listen(function(data, source, origin) {
+
+            // exit if it's not a valid broadcast
+            var broadcast = getBroadcast(data);
+            if (!broadcast) return;
+
+            // exit if the sender is not on a trusted origin
+            if (!isTrustedOrigin(origin, defaults.origins)) {
+                if (broadcast.debug || defaults.debug) {
+                    log('rejected "' + broadcast.type + '" from ' + origin);
+                }
+                record('dropped', broadcast, { reason: 'untrusted origin ' + origin });
+                return;
+            }
+
+            // remember which frames run 1.x so we can send them messages they understand
+            // (the source can't be faked, so this is safe before checking the signature)
+            setFrameVersion(source, broadcast.v);
+
+            // don't trust anything in the message until we've checked the signature
+            checkSignature(broadcast).then(function(valid) {
+                if (valid) {
+                    receiveMessage(broadcast, source);
+                }
+            })
+            .catch(function(err) {
+                dropBroken(broadcast, err);
+            });
+        });
+
+        /**
+         * Drops a received message that threw while being processed (another frame can't crash this one)
+         * @param {object} broadcast - received payload
+         * @param {Error} err - error thrown
+         * @returns {void}
+         */
+        function dropBroken(broadcast, err) {
+            log('Failed to process "' + broadcast.type + '"', err);
+            record('dropped', broadcast, { reason: 'error' });
+        }
+
+        /**
+         * Processes a trusted message from another frame
+         * @param {object} broadcast - received payload
+         * @param {*} source - frame that sent the message
+         * @returns {void}
+         */
+        function receiveMessage(broadcast, source) {
+
+            // the site that opened this window can't talk to us unless we've joined it
+            if (!useOpener && source && typeof transport.opener === 'function' && source === transport.opener()) {
+                if (broadcast.debug || defaults.debug) {
+                    log('rejected "' + broadcast.type + '" from opener');
+                }
+                record('dropped', broadcast, { reason: 'opener not joined' });
+                return;
+            }
+
+            // events on another bus are never dispatched here
+            if ((broadcast.ns || '') !== namespace) {
+
+                // pass on events for buses this window doesn't have, so they reach frames that do
+                if (!namespace && !Object.prototype.hasOwnProperty.call(buses, broadcast.ns)) {
+                    relayUnread(broadcast, false);
+                }
+                return;
+            }
+
+            record('received', broadcast, { from: (source === getParentFrame()) ? 'parent' : 'child' });
+
+            // child frames announce when they're ready for events, and leave when they unload
+            if (!broadcast.hops && transport.children().indexOf(source) > -1) {
+                if (broadcast.type === 'peer:announce') childReady(source);
+                if (broadcast.type === 'peer:leave') childLeft(source);
+            }
+
+            // remember who is in the windows we opened, so we can remove them when they close
+            if (broadcast.type === 'peer:announce' && !broadcast.hops && typeof broadcast.detail === 'object') {
+                attachedWindows.forEach(function(attached) {
+                    if (attached.frame === source) {
+                        attached.originId = broadcast.detail._originId;
+                    }
+                });
+            }
+
+            // our parent announcing itself directly tells us its originId
+            if (broadcast.type === 'peer:announce' && !broadcast.hops && source === getParentFrame() && typeof broadcast.detail === 'object') {
+                setParentId(broadcast.detail._originId);
+            }
+
+            receiveBroadcast(broadcast, false);
+        }
+
+        // keep track of other instances
+        target.addEventListener('peer:announce', function(e) {
+
+            var detail = e.detail;
+
+            if (!detail || !detail._originId || detail._originId === originId) return;
+
+            var isNew = !peers[detail._originId];
+
+            peers[detail._originId] = {
+                originId: detail._originId,
+                href: detail.href,
+                depth: detail.depth,
+                parentId: detail.parentId || null
+            };
+
+            if (!isNew) return;
+
+            target.dispatchEvent(createEvent('peer:joined', copyPeer(peers[detail._originId])));
+
+            // introduce ourselves to the newcomer (unless it was already replying to us)
+            if (!detail._targetId) {
+                announce(detail._originId);
+                replaySticky(detail._originId);
+                sendStateSnapshot(detail._originId);
+            }
+        });
+
+        // shared state changed in another frame (or a snapshot sent to us when we loaded)
+        target.addEventListener('broadcast:state', function(e) {
+
+            var detail = e.detail;
+
+            if (!detail || detail._originId === originId || !detail.entries || typeof detail.entries !== 'object') return;
+
+            Object.keys(detail.entries).forEach(function(key) {
+                applyState(key, detail.entries[key]);
+            });
+        });
+
+        target.addEventListener('peer:discover', function(e) {
+            if (e.detail && e.detail._originId !== originId) {
+                announce(e.detail._originId);
+            }
+        });
+
+        target.addEventListener('peer:leave', function(e) {
+            if (e.detail) {
+                removePeer(e.detail._originId);
+            }
+        });
+
+        // frames that unload leave every group they were in
+        target.addEventListener('peer:left', function(e) {
+            Object.keys(elections).forEach(function(group) {
+                removeMember(group, e.detail.originId);
+            });
+        });
+
+        target.addEventListener('broadcast:elect', function(e) {
+
+            var detail = e.detail;
+            var election = detail && elections[detail.group];
+
+            if (!election || detail._originId === originId) return;
+
+            if (detail.action === 'leave') {
+                removeMember(detail.group, detail._originId);
+                return;
+            }
+
+            election.members[detail._originId] = true;
+
+            // introduce ourselves (and who leads) to the newcomer
+            if (!detail._targetId) {
+                broadcastEvent('broadcast:elect', { group: detail.group, action: 'join', leaderId: election.leaderId }, { target: detail._originId });
+            }
+
+            if (!detail.leaderId) return;
+
+            election.members[detail.leaderId] = true;
+
+            // join an existing leader, or if two frames think they lead, the lowest originId wins
+            if (!election.settled) {
+                election.claims.push(detail.leaderId);
+            }
+            else if (detail.leaderId !== election.leaderId) {
+                setLeader(detail.group, lowestId([election.leaderId, detail.leaderId]));
+            }
+        });
+
+        // notice frames added after we loaded, so they get events they missed
+        if (typeof transport.observe === 'function') {
+            transport.observe(childAdded);
+        }
+
+        // tell everyone when we leave
+        transport.target.addEventListener('pagehide', function() {
+            broadcastEvent('peer:leave', {});
+        });
+
+        // pages restored from the back/forward cache said goodbye when hidden, so join again
+        transport.target.addEventListener('pageshow', function(e) {
+
+            if (!e.persisted) return;
+
+            announce();
+
+            // another frame took over while we were away, stop leading until the group agrees
+            Object.keys(elections).forEach(function(group) {
+
+                if (elections[group].leaderId === originId) {
+                    setLeader(group, null);
+                }
+
+                joinElection(group);
+            });
+        });
+
+        // expose global defaults so they can be changed
+        broadcastEvent.defaults = defaults;
+        broadcastEvent.request = request;
+        broadcastEvent.handle = handle;
+        broadcastEvent.defineEvent = defineEvent;
+        broadcastEvent.use = use;
+        broadcastEvent.on = on;
+        broadcastEvent.once = once;
+        broadcastEvent.off = off;
+        broadcastEvent.peers = listPeers;
+        broadcastEvent.discover = discover;
+        broadcastEvent.openChannel = openChannel;
+        broadcastEvent.closeChannel = closeChannel;
+        broadcastEvent.originId = originId;
+        broadcastEvent.namespace = namespace;
+        broadcastEvent.createBus = createBus;
+        broadcastEvent.attachWindow = attachWindow;
+        broadcastEvent.joinOpener = joinOpener;
+        broadcastEvent.history = history;
+        broadcastEvent.state = { get: getState, set: setState, subscribe: subscribeState };
+        broadcastEvent.elect = elect;
+        broadcastEvent.exportHistory = exportHistory;
+        broadcastEvent.addEventListener = target.addEventListener.bind(target);
+        broadcastEvent.removeEventListener = target.removeEventListener.bind(target);
+        broadcastEvent.protocolVersion = protocolVersion;
+        broadcastEvent.create = createBroadcastEvent;
+        broadcastEvent.transports = transports;
+
+        // let other frames know we're here
+        announce();
+
+        return broadcastEvent;
+    }
 
     /**
-     * Fire events across iframes
-     * @example
-     *  broadcastEvent('mobile:ready', { token: '01234', email: 'john@orcascan.com' });
-     * @param {string} eventName - event to dispatch
-     * @param {object} [eventData={}] - optional data to send
-     * @param {object} [options={}] - optional options ;)
-     * @param {boolean} [options.encrypt=false] - if set, encrypts event data in transit
-     * @param {string} [options.target=e.detail._originId] - if set, sends event only to that frame
-     * @param {boolean} [options.debug=false] - console log if true (default false)
-     * @returns {void}
+     * Transport that moves messages between a window and its frames using postMessage
+     * @param {Window} win - window to broadcast from
+     * @returns {object} transport
      */
-    function broadcastEvent(eventName, eventData, options) {
+    function postMessageTransport(win) {
+
+        // dependency check!
+        if (typeof win.CustomEvent !== 'function' && typeof win.Event !== 'function') throw new Error('Missing CustomEvent polyfill');
+
+        // windows we opened (see attach)
+        var attached = [];
+
+        return {
+            href: win.location.href,
+            target: win,
+            parent: function() {
+                return (win.parent !== win) ? win.parent : null;
+            },
+            opener: function() {
+                // null if opened with noopener, and stays set once closed
+                return (win.opener && !win.opener.closed) ? win.opener : null;
+            },
+            children: function() {
+                var frames = [];
+                for (var i = 0, l = win.frames.length; i < l; i++) {
+                    frames.push(win.frames[i]);
+                }
+                attached.forEach(function(popup) {
+                    if (!popup.closed) {
+                        frames.push(popup);
+                    }
+                });
+                return frames;
+            },
+            send: function(frame, message, origins) {
+
+                // dont send to self
+                if (frame === win) return;
+
+                // any origin will do, no need to post more than once
+                if (origins.indexOf('*') > -1) {
+                    origins = ['*'];
+                }
+
+                var error = null;
+
+                // browser only delivers if the target window origin matches
+                origins.forEach(function(origin) {
+                    try {
+                        frame.postMessage(message, origin);
+                    }
+                    catch (err) {
+                        // a bad origin shouldn't stop delivery to the others
+                        error = error || err;
+                    }
+                });
+
+                // let the caller log it
+                if (error) throw error;
+            },
+            listen: function(fn) {
+                win.addEventListener('message', function(event) {
+
+                    // exit if source is self
+                    if (event.source === win) return;
+
+                    fn(event.data, event.source, event.origin);
+                });
+            },
+            observe: function(fn) {
+
+                if (typeof win.MutationObserver !== 'function' || !win.document) return;
+
+                // iframes can be added on their own or inside other elements
+                new win.MutationObserver(function(mutations) {
+                    mutations.forEach(function(mutation) {
+                        [].forEach.call(mutation.addedNodes, function(node) {
+
+                            if (!node.querySelectorAll) return;
+
+                            var iframes = [].slice.call(node.querySelectorAll('iframe, frame'));
+                            if (/^i?frame$/i.test(node.nodeName)) {
+                                iframes.unshift(node);
+                            }
+
+                            iframes.forEach(function(iframe) {
+                                if (iframe.contentWindow) {
+                                    fn(iframe.contentWindow);
+                                }
+                            });
+                        });
+                    });
+                })
+                .observe(win.document.documentElement || win.document, { childList: true, subtree: true });
+            },
+            attach: function(popup, onClose) {
 
-        if (eventData && typeof eventData !== 'object') throw new Error('eventData must be an object');
+                if (popup === win || attached.indexOf(popup) > -1) return;
+
+                attached.push(popup);
+
+                // closed windows don't fire events we can see, so check
+                var timer = setInterval(function() {
+                    if (popup.closed) {
+                        clearInterval(timer);
+                        attached.splice(attached.indexOf(popup), 1);
+                        onClose();
+                    }
+                }, 500);
+            },
+            depth: function() {
+                var depth = 0;
+                var current = win;
+                try {
+                    while (current.parent !== current) {
+                        depth++;
+                        current = current.parent;
+                    }
+                }
+                catch (err) {
+                    // ignore inaccessible ancestors
+                }
+                return depth;
+            }
+        };
+    }
+
+    /**
+     * Transport that connects simulated frames in memory (no browser required)
+     * @example
+     *  var top = broadcastEvent.transports.memory({ href: 'https://orcascan.com' });
+     *  var iframe = top.createChild({ href: 'https://orcascan.com/scanner.html' });
+     *  broadcastEvent.create(iframe).on('app:ready', function(data) { ... });
+     *  broadcastEvent.create(top)('app:ready');
+     * @param {object} [options={}] - frame options
+     * @param {string} [options.href='memory://frame'] - simulated location of the frame
+     * @param {string} [options.origin] - simulated origin (defaults to origin of href)
+     * @param {object} [options.opener] - memory transport that opened this frame (simulates a popup)
+     * @returns {object} transport, with createChild(options) and remove() to change the frame tree
+     */
+    function memoryTransport(options) {
 
-        eventName = String(eventName || '') || '';
-        eventData = eventData || {};
         options = options || {};
 
-        // should we enable logging?
-        options.debug = (options.debug === true);
+        var href = options.href || 'memory://frame';
+        var parentFrame = options._parent || null;
+        var openerFrame = options.opener || null;
+        var childFrames = [];
+        var closeHandlers = [];
+        var listeners = [];
+        var observers = [];
+        var removed = false;
+
+        var frame = {
+            href: href,
+            origin: options.origin || (href.match(/^[a-z][a-z0-9+.-]*:\/\/[^/?#]*/i) || [href])[0],
+            target: new EventTarget(),
+            parent: function() {
+                return parentFrame;
+            },
+            opener: function() {
+                return openerFrame;
+            },
+            children: function() {
+                return childFrames.slice();
+            },
+            send: function(targetFrame, message, origins) {
+
+                // only deliver to frames on a matching origin, like postMessage
+                if (origins.indexOf('*') === -1 && origins.indexOf(targetFrame.origin) === -1) return;
+
+                // clone and deliver async, like postMessage
+                var data = JSON.parse(JSON.stringify(message));
+                setTimeout(function() {
+                    targetFrame._receive(data, frame, frame.origin);
+                }, 0);
+            },
+            listen: function(fn) {
+                listeners.push(fn);
+            },
+            observe: function(fn) {
+                observers.push(fn);
+            },
+            depth: function() {
+                return parentFrame ? parentFrame.depth() + 1 : 0;
+            },
+            createChild: function(childOptions) {
+
+                childOptions = childOptions || {};
+
+                var child = memoryTransport({ href: childOptions.href, origin: childOptions.origin, _parent: frame });
+                childFrames.push(child);
+
+                observers.forEach(function(fn) {
+                    fn(child);
+                });
+
+                return child;
+            },
+            attach: function(popup, onClose) {
 
-        // send originId so handlers know whos calling (always retain original originId)
-        if (!eventData._originId) {
-            eventData._originId = originId;
+                if (popup === frame || childFrames.indexOf(popup) > -1) return;
+
+                childFrames.push(popup);
+                closeHandlers.push({ frame: popup, fn: onClose });
+            },
+            remove: function() {
+
+                childFrames.slice().forEach(function(child) {
+                    child.remove();
+                });
+
+                // let the instance say goodbye, as a closing page would
+                frame.target.dispatchEvent(new Event('pagehide'));
+
+                removed = true;
+                listeners = [];
+                observers = [];
+
+                if (parentFrame) {
+                    parentFrame._removeChild(frame);
+                }
+
+                if (openerFrame) {
+                    openerFrame._removeChild(frame);
+                }
+            },
+            _receive: function(data, source, origin) {
+                if (removed) return;
+                listeners.forEach(function(fn) {
+                    fn(data, source, origin);
+                });
+            },
+            _removeChild: function(child) {
+
+                childFrames = childFrames.filter(function(item) {
+                    return item !== child;
+                });
+
+                // let instances know a window they attached has closed
+                closeHandlers = closeHandlers.filter(function(handler) {
+                    if (handler.frame === child) handler.fn();
+                    return handler.frame !== child;
+                });
+            }
+        };
+
+        return frame;
+    }
+
+    /**
+     * Creates an event with detail (Node 16 and some workers have Event but no CustomEvent)
+     * @param {string} eventName - event type
+     * @param {any} detail - event data
+     * @param {boolean} [cancelable=false] - if true, listeners can call preventDefault
+     * @returns {Event} event to dispatch
+     */
+    function createEvent(eventName, detail, cancelable) {
+
+        if (typeof root.CustomEvent === 'function') {
+            return new root.CustomEvent(eventName, { detail: detail, cancelable: !!cancelable });
         }
 
-        // set event target if provided
-        if (options.target) {
-            eventData._targetId = options.target;
+        var event = new root.Event(eventName, { cancelable: !!cancelable });
+        event.detail = detail;
+        return event;
+    }
+
+    /**
+     * Creates a cache of recently seen ids, bounded by age and size (constant cost per call)
+     * @param {object} settings - read on every call so changes take effect immediately
+     * @param {number} [settings.dedupeTtl=30000] - milliseconds to remember an id
+     * @param {number} [settings.dedupeCapacity=1000] - maximum number of ids to remember (oldest are forgotten first)
+     * @returns {object} cache with has(id) and add(id)
+     */
+    function createEventCache(settings) {
+
+        var times = {};
+        var queue = [];
+        var head = 0;
+        var size = 0;
+
+        /**
+         * Forgets ids that have expired or no longer fit (ids are queued oldest first)
+         * @param {number} now - current time
+         * @returns {void}
+         */
+        function prune(now) {
+
+            var ttl = (settings.dedupeTtl >= 0) ? settings.dedupeTtl : 30000;
+            var capacity = (settings.dedupeCapacity > 0) ? settings.dedupeCapacity : 1000;
+            var expiredAfter = now - ttl;
+
+            while (head < queue.length && (size > capacity || times[queue[head]] < expiredAfter)) {
+                delete times[queue[head]];
+                queue[head] = undefined;
+                head++;
+                size--;
+            }
+
+            // drop forgotten slots once they make up most of the queue
+            if (head > 1024 && head * 2 > queue.length) {
+                queue = queue.slice(head);
+                head = 0;
+            }
         }
 
-        var payload = {
-            type: eventName,
-            detail: eventData,
-            eventIds: options._eventIds || [],
-            debug: options.debug
+        return {
+            has: function(id) {
+                prune(Date.now());
+                return times[id] !== undefined;
+            },
+            add: function(id) {
+
+                var now = Date.now();
+
+                if (times[id] === undefined) {
+                    times[id] = now;
+                    queue.push(id);
+                    size++;
+                }
+
+                prune(now);
+            }
         };
+    }
 
-        // if we've already sent this, exit
-        if (alreadyBroadcast(payload)) {
-            if (options.debug) {
-                log('suppressed "' + payload.type + '"');
+    /**
+     * Converts a wildcard pattern to a regular expression
+     * @param {string} pattern - event name, * matches anything
+     * @returns {RegExp} matching regular expression
+     */
+    function patternToRegExp(pattern) {
+        var escaped = String(pattern || '').split('*').map(function(part) {
+            return part.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+        });
+        return new RegExp('^' + escaped.join('.*') + '$');
+    }
+
+    /**
+     * Checks a JSON Schema only uses supported keywords, compiling patterns so bad ones fail when defined
+     * @param {object} schema - JSON Schema
+     * @param {string} path - location of schema, used in error messages
+     * @returns {object} copy of the schema (patterns as RegExp)
+     */
+    function compileSchema(schema, path) {
+
+        if (!schema || typeof schema !== 'object' || Array.isArray(schema)) throw new Error(path + ' must be an object');
+
+        var compiled = {};
+
+        Object.keys(schema).forEach(function(key) {
+            if (schemaKeywords.indexOf(key) === -1) throw new Error('Unsupported schema keyword "' + key + '" at ' + path);
+            compiled[key] = schema[key];
+        });
+
+        if (schema.pattern !== undefined) {
+            try {
+                compiled.pattern = new RegExp(schema.pattern);
+            }
+            catch (err) {
+                throw new Error('Invalid pattern at ' + path + ': ' + err.message);
             }
-            return;
         }
 
-        // only fire event locally if we have no target or we are the target
-        if (!eventData._targetId || eventData._targetId === originId) {
-            window.dispatchEvent(new CustomEvent(eventName, { detail: eventData }));
+        if (schema.properties !== undefined) {
+
+            if (!schema.properties || typeof schema.properties !== 'object') throw new Error(path + '.properties must be an object');
+
+            compiled.properties = {};
+
+            Object.keys(schema.properties).forEach(function(key) {
+                compiled.properties[key] = compileSchema(schema.properties[key], path + '.properties.' + key);
+            });
         }
 
-        // if required, encrypt the payload
-        if (options.encrypt) {
-            payload.detail = 'BE:' + encrypt(eventData, eventData._originId) + ':' + eventData._originId;
+        if (schema.items !== undefined) {
+            compiled.items = compileSchema(schema.items, path + '.items');
         }
-    
-        // we're in an iframe, send to parent
-        if (window.parent !== window) {
-            sendEvent(window.parent, payload);
-            if (options.debug) {
-                log('sending "' + payload.type + '" up');
+
+        if (schema.additionalProperties !== undefined && typeof schema.additionalProperties !== 'boolean') {
+            compiled.additionalProperties = compileSchema(schema.additionalProperties, path + '.additionalProperties');
+        }
+
+        return compiled;
+    }
+
+    /**
+     * Validates event data against a JSON Schema, ignoring internal _ properties
+     * @param {object} eventData - event data
+     * @param {object} schema - JSON Schema
+     * @returns {Array<string>} validation errors (empty if valid)
+     */
+    function validateEventData(eventData, schema) {
+
+        var data = {};
+
+        Object.keys(eventData || {}).forEach(function(key) {
+            if (key.charAt(0) !== '_') {
+                data[key] = eventData[key];
+            }
+        });
+
+        return validateSchema(data, schema, 'data');
+    }
+
+    /**
+     * Validates a value against a JSON Schema (supports a common subset of keywords)
+     * @param {*} value - value to check
+     * @param {object} schema - JSON Schema (see compileSchema)
+     * @param {string} path - location of value, used in error messages
+     * @returns {Array<string>} validation errors (empty if valid)
+     */
+    function validateSchema(value, schema, path) {
+
+        var errors = [];
+        var type = typeOf(value);
+
+        if (!schema || typeof schema !== 'object') return errors;
+
+        if (schema.type) {
+            var types = [].concat(schema.type);
+            var typeMatch = types.some(function(item) {
+                return item === type || (item === 'number' && type === 'integer');
+            });
+            if (!typeMatch) {
+                errors.push(path + ' must be ' + types.join(' or '));
+                return errors;
             }
         }
 
-        // send to all child frames
-        for (var i = 0, l = window.frames.length; i < l; i++) {
-            sendEvent(window.frames[i], payload);
-            if (options.debug) {
-                log('sending "' + payload.type + '" down');
+        if (schema.enum) {
+            var enumMatch = schema.enum.some(function(item) {
+                return JSON.stringify(item) === JSON.stringify(value);
+            });
+            if (!enumMatch) {
+                errors.push(path + ' must be one of ' + JSON.stringify(schema.enum));
             }
         }
-    };
+
+        if (schema.const !== undefined && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+            errors.push(path + ' must be ' + JSON.stringify(schema.const));
+        }
+
+        if (type === 'string') {
+            if (schema.minLength !== undefined && value.length < schema.minLength) {
+                errors.push(path + ' must have at least ' + schema.minLength + ' characters');
+            }
+            if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+                errors.push(path + ' must have at most ' + schema.maxLength + ' characters');
+            }
+            if (schema.pattern && !schema.pattern.test(value)) {
+                errors.push(path + ' must match ' + schema.pattern.source);
+            }
+        }
+
+        if (type === 'number' || type === 'integer') {
+            if (schema.minimum !== undefined && value < schema.minimum) {
+                errors.push(path + ' must be >= ' + schema.minimum);
+            }
+            if (schema.maximum !== undefined && value > schema.maximum) {
+                errors.push(path + ' must be <= ' + schema.maximum);
+            }
+        }
+
+        if (type === 'array') {
+            if (schema.minItems !== undefined && value.length < schema.minItems) {
+                errors.push(path + ' must have at least ' + schema.minItems + ' items');
+            }
+            if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+                errors.push(path + ' must have at most ' + schema.maxItems + ' items');
+            }
+            if (schema.items) {
+                value.forEach(function(item, index) {
+                    errors = errors.concat(validateSchema(item, schema.items, path + '[' + index + ']'));
+                });
+            }
+        }
+
+        if (type === 'object') {
+
+            var properties = schema.properties || {};
+
+            (schema.required || []).forEach(function(key) {
+                if (value[key] === undefined) {
+                    errors.push(path + '.' + key + ' is required');
+                }
+            });
+
+            Object.keys(value).forEach(function(key) {
+                if (Object.prototype.hasOwnProperty.call(properties, key)) {
+                    errors = errors.concat(validateSchema(value[key], properties[key], path + '.' + key));
+                }
+                else if (schema.additionalProperties === false) {
+                    errors.push(path + '.' + key + ' is not allowed');
+                }
+                else if (typeof schema.additionalProperties === 'object') {
+                    errors = errors.concat(validateSchema(value[key], schema.additionalProperties, path + '.' + key));
+                }
+            });
+        }
+
+        return errors;
+    }
 
     /**
-     * Checks if an event has already been sent by this instance
-     * @param {object} payload - data to be sent
-     * @returns {boolean} true if broadcast of false
+     * Gets the JSON Schema type of a value
+     * @param {*} value - value to check
+     * @returns {string} null, array, integer, number, string, boolean or object
      */
-    function alreadyBroadcast(payload) {
+    function typeOf(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        if (typeof value === 'number') return (Math.floor(value) === value) ? 'integer' : 'number';
+        return typeof value;
+    }
+
+    /**
+     * Copies a peer record so callers can't modify the registry
+     * @param {object} peer - peer record
+     * @returns {object} copy of peer ({ originId, href, depth, parentId })
+     */
+    function copyPeer(peer) {
+        return { originId: peer.originId, href: peer.href, depth: peer.depth, parentId: peer.parentId };
+    }
 
-        var now = Date.now();
+    /**
+     * Copies send options so flags set while sending never change the caller's object
+     * @param {object} [options] - broadcastEvent options
+     * @returns {object} shallow copy of options
+     */
+    function copyOptions(options) {
 
-        // remove anything older than 30 seconds
-        var expiredAfter = now - 30000;
-        Object.keys(recentEvents).forEach(function(key) {
-            if (recentEvents[key] < expiredAfter) {
-                delete recentEvents[key];
-            }
+        var copy = {};
+
+        Object.keys(options || {}).forEach(function(key) {
+            copy[key] = options[key];
         });
 
-        // see if we have already sent this previoulsey (resending causes an event loop)
-        var suppress = payload.eventIds.some(function(id) {
-            return recentEvents[id] !== undefined;
+        return copy;
+    }
+
+    /**
+     * Normalises a list of trusted origins
+     * @param {string|Array<string>} origins - origin or list of origins ('*' for any)
+     * @returns {Array<string>} list of origins
+     */
+    function toOriginList(origins) {
+        return [].concat(origins || []).map(function(origin) {
+            return String(origin).replace(/\/+$/, '');
         });
+    }
+
+    /**
+     * Gets the origins in both lists, so relayed events never reach more origins than the sender allowed
+     * @param {string|Array<string>} [origins] - origins the sender allowed (any trusted origin if not set)
+     * @param {string|Array<string>} trusted - origins the relaying frame trusts
+     * @returns {Array<string>} list of origins
+     */
+    function intersectOrigins(origins, trusted) {
 
-        // exit if we've already processed this event
-        if (suppress) return true;
+        trusted = toOriginList(trusted);
 
-        // this uniquley identifies the event so we can prevent rebroadcasts
-        var eventId = stringHash(sender + ':' + payload.type + ':' + performance.now() + ':' + Math.random());
+        if (!origins) return trusted;
 
-        // add event id to payload
-        payload.eventIds.push(eventId);
+        origins = toOriginList(origins);
 
-        // store the event id so we can check if we've seen it before
-        recentEvents[eventId] = now;
+        if (trusted.indexOf('*') > -1) return origins;
+        if (origins.indexOf('*') > -1) return trusted;
 
-        return false;
+        return origins.filter(function(origin) {
+            return trusted.indexOf(origin) > -1;
+        });
     }
 
     /**
-     * console.log helper
-     * @returns {void}
+     * Gets the originIds of the frames a payload has passed through (sender first)
+     * @param {object} payload - broadcast payload
+     * @returns {Array<string>} originIds (empty if sent by 1.x)
      */
-    function log() {
-        var args = [].slice.call(arguments);
-        var params = ['broadcast-event[' + sender + ']'].concat(args);
-        console.log.apply(console, params);
+    function getPath(payload) {
+        return Array.isArray(payload.path) ? payload.path.map(String) : [];
     }
 
     /**
-     * Send an event to another window using postMessage
-     * @param {Window} targetWindow - window to send message to
-     * @param {object} payload - data to send
-     * @returns {void}
+     * Gets the lowest originId in a list (every frame picks the same one)
+     * @param {Array<string>} ids - originIds
+     * @returns {string|null} lowest id (null if empty)
      */
-    function sendEvent(targetWindow, payload) {
-
-        // dont send to self
-        if (targetWindow === window) return;
+    function lowestId(ids) {
+        return ids.slice().sort()[0] || null;
+    }
 
-        try {
-            targetWindow.postMessage({ _broadcast: payload }, '*');
-        }
-        catch (err) {
-            // Ignore cross-origin frame errors
-            log('postMessage error', err);
-        }
+    /**
+     * Checks if an origin is in the list of trusted origins
+     * @param {string} origin - origin of the sending window (event.origin)
+     * @param {string|Array<string>} origins - trusted origins ('*' for any)
+     * @returns {boolean} true if trusted
+     */
+    function isTrustedOrigin(origin, origins) {
+        origins = toOriginList(origins);
+        return origins.indexOf('*') > -1 || origins.indexOf(origin) > -1;
     }
 
     /**
@@ -173,99 +3053,235 @@
     }
 
     /**
-     * Encrypts a string using XOR + Base64 encoding.
-     * @param {string|object} input - item to encrypt
-     * @param {string} key - The encryption key.
-     * @returns {string} - The encrypted string, Base64-encoded.
+     * Gets an AES-GCM key from a shared secret (cached) or CryptoKey
+     * @param {string|CryptoKey} secret - shared secret or AES-GCM CryptoKey
+     * @returns {Promise<CryptoKey>} resolves with the key
      */
-    function encrypt(input, key) {
-        if (!key) throw new Error('Encryption key is required');
+    function getCryptoKey(secret) {
 
-        // serialise obejcts
-        input = (typeof input === 'object') ? JSON.stringify(input) : input;
+        if (!root.crypto || !root.crypto.subtle) {
+            return Promise.reject(new Error('Encryption requires crypto.subtle (secure context)'));
+        }
 
-        var output = [];
-        for (var i = 0; i < input.length; i++) {
-            var keyChar = key.charCodeAt(i % key.length);
-            var mixedChar = input.charCodeAt(i) ^ keyChar ^ (i % 256); // Adds position-dependent entropy
-            output.push(String.fromCharCode(mixedChar));
+        // already a key
+        if (typeof secret !== 'string') return Promise.resolve(secret);
+
+        // derive a 256 bit key from the secret
+        if (!cryptoKeys[secret]) {
+            cryptoKeys[secret] = root.crypto.subtle.digest('SHA-256', toBytes(secret)).then(function(hash) {
+                return root.crypto.subtle.importKey('raw', hash, { name: 'AES-GCM' }, false, ['encrypt', 'decrypt']);
+            });
         }
 
-        return btoa(output.join(''));
+        return cryptoKeys[secret];
     }
 
     /**
-     * Decrypts a string encrypted using XOR + Base64 encoding.
-     * @param {string} input - The Base64-encoded encrypted string.
-     * @param {string} key - The encryption key.
-     * @returns {string} - The decrypted plaintext string.
+     * Encrypts event data using AES-GCM, bound to the event name
+     * @param {object} input - item to encrypt
+     * @param {string} eventName - event name (authenticated but not encrypted)
+     * @param {string|CryptoKey} secret - shared secret or AES-GCM CryptoKey
+     * @returns {Promise<string>} resolves with Base64 iv and ciphertext (iv:ciphertext)
      */
-    function decrypt(input, key) {
-        if (!key) throw new Error('Decryption key is required');
+    function encrypt(input, eventName, secret) {
 
-        var decoded = atob(input);
-        var output = [];
-        for (var i = 0; i < decoded.length; i++) {
-            var keyChar = key.charCodeAt(i % key.length);
-            var originalChar = decoded.charCodeAt(i) ^ keyChar ^ (i % 256);
-            output.push(String.fromCharCode(originalChar));
-        }
+        var iv = root.crypto.getRandomValues(new Uint8Array(12));
 
-        return output.join('');
+        return getCryptoKey(secret).then(function(key) {
+            var params = { name: 'AES-GCM', iv: iv, additionalData: toBytes(eventName) };
+            return root.crypto.subtle.encrypt(params, key, toBytes(JSON.stringify(input)));
+        })
+        .then(function(ciphertext) {
+            return toBase64(iv) + ':' + toBase64(ciphertext);
+        });
     }
 
     /**
-     * handles incoming messages and processes event dispatching
-     * @param {MessageEvent} event - received postMessage event
-     * @returns {void}
+     * Decrypts event data encrypted using encrypt (rejects if tampered with)
+     * @param {string} input - Base64 iv and ciphertext (iv:ciphertext)
+     * @param {string} eventName - event name the data was encrypted with
+     * @param {string|CryptoKey} secret - shared secret or AES-GCM CryptoKey
+     * @returns {Promise<object>} resolves with the decrypted event data
      */
-    window.addEventListener('message', function(event) {
+    function decrypt(input, eventName, secret) {
 
-        // exit if source is self
-        if (event.source === window) return;
+        var parts = String(input).split(':');
 
-        // exit if it's not a valid broadcast
-        if (!event.data) return;
-        if (!event.data._broadcast) return;
-        if (!event.data._broadcast.detail) return;
-        if (typeof event.data._broadcast.type !== 'string') return;
+        return getCryptoKey(secret).then(function(key) {
+            var params = { name: 'AES-GCM', iv: fromBase64(parts[0]), additionalData: toBytes(eventName) };
+            return root.crypto.subtle.decrypt(params, key, fromBase64(parts[1]));
+        })
+        .then(function(plaintext) {
+            var detail = JSON.parse(new TextDecoder().decode(plaintext));
+            if (!detail || typeof detail !== 'object') throw new Error('Invalid event data');
+            return detail;
+        });
+    }
 
-        var broadcast = event.data._broadcast;
+    /**
+     * Gets an HMAC key from a shared secret (cached) or CryptoKey
+     * @param {string|CryptoKey} secret - shared secret or HMAC SHA-256 CryptoKey
+     * @returns {Promise<CryptoKey>} resolves with the key
+     */
+    function getSigningKey(secret) {
 
-        if (broadcast.debug) {
-            log('received "' + broadcast.type + '"');
+        if (!root.crypto || !root.crypto.subtle) {
+            return Promise.reject(new Error('Signing requires crypto.subtle (secure context)'));
         }
 
-        // is the event data encrypted?
-        var encrypted = (typeof broadcast.detail === 'string' && broadcast.detail.indexOf('BE:') === 0);
+        // already a key
+        if (typeof secret !== 'string') return Promise.resolve(secret);
 
-        if (encrypted) {
-            try {
-                // decrypt event data
-                var parts = broadcast.detail.split(':');
-                broadcast.detail = JSON.parse(decrypt(parts[1], parts[2]));
-            }
-            catch (err) {
-                broadcast.detail = null;
-                log('Failed to decrypt event data');
-            }
+        if (!signingKeys[secret]) {
+            signingKeys[secret] = root.crypto.subtle.importKey('raw', toBytes(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign', 'verify']);
+        }
+
+        return signingKeys[secret];
+    }
+
+    /**
+     * Gets the bytes a signature covers (everything that affects how the event is handled)
+     * @param {object} payload - broadcast payload
+     * @param {number} ts - time the payload was signed
+     * @param {string} nonce - random value used once
+     * @returns {Uint8Array} bytes to sign
+     */
+    function signatureInput(payload, ts, nonce) {
+        return toBytes(JSON.stringify([
+            payload.v, payload.ns || '', payload.type, payload.detail, payload.eventId,
+            payload.hops, getPath(payload), payload.scope || '', payload.maxHops, payload.origins || '', ts, nonce
+        ]));
+    }
+
+    /**
+     * Signs a payload using HMAC SHA-256
+     * @param {object} payload - broadcast payload (detail includes the _originId)
+     * @param {string|CryptoKey} secret - shared secret or HMAC CryptoKey
+     * @returns {Promise<object>} resolves with the signature ({ ts, nonce, mac })
+     */
+    function sign(payload, secret) {
+
+        var ts = Date.now();
+        var nonce = toBase64(root.crypto.getRandomValues(new Uint8Array(16)));
+
+        return getSigningKey(secret).then(function(key) {
+            return root.crypto.subtle.sign('HMAC', key, signatureInput(payload, ts, nonce));
+        })
+        .then(function(mac) {
+            return { ts: ts, nonce: nonce, mac: toBase64(mac) };
+        });
+    }
+
+    /**
+     * Verifies a payload signature created using sign
+     * @param {object} payload - received broadcast payload (with sig)
+     * @param {string|CryptoKey} secret - shared secret or HMAC CryptoKey
+     * @returns {Promise<boolean>} resolves true if the signature is valid
+     */
+    function verify(payload, secret) {
+
+        var sig = payload.sig;
+
+        return getSigningKey(secret).then(function(key) {
+            return root.crypto.subtle.verify('HMAC', key, fromBase64(sig.mac), signatureInput(payload, sig.ts, sig.nonce));
+        });
+    }
+
+    /**
+     * Converts a string to UTF-8 bytes
+     * @param {string} input - string to convert
+     * @returns {Uint8Array} bytes
+     */
+    function toBytes(input) {
+        return new TextEncoder().encode(input);
+    }
+
+    /**
+     * Base64 encodes bytes
+     * @param {ArrayBuffer|Uint8Array} input - bytes to encode
+     * @returns {string} Base64 string
+     */
+    function toBase64(input) {
+        var bytes = new Uint8Array(input);
+        var output = [];
+        for (var i = 0; i < bytes.length; i++) {
+            output.push(String.fromCharCode(bytes[i]));
+        }
+        return btoa(output.join(''));
+    }
+
+    /**
+     * Decodes a Base64 string to bytes
+     * @param {string} input - Base64 string
+     * @returns {Uint8Array} bytes
+     */
+    function fromBase64(input) {
+        var decoded = atob(input);
+        var bytes = new Uint8Array(decoded.length);
+        for (var i = 0; i < decoded.length; i++) {
+            bytes[i] = decoded.charCodeAt(i);
         }
+        return bytes;
+    }
 
-        var options = {
-            _eventIds: broadcast.eventIds,
-            debug: broadcast.debug,
-            encrypt: encrypted
+    /**
+     * Gets the broadcast from a message if it's valid
+     * @param {object} data - message data
+     * @returns {object|null} broadcast payload or null if not a broadcast
+     */
+    function getBroadcast(data) {
+
+        if (!data) return null;
+        if (!data._broadcast) return null;
+        if (typeof data._broadcast.type !== 'string') return null;
+
+        var broadcast = data._broadcast;
+
+        // newer versions are relayed without being read
+        if (broadcast.v > protocolVersion) return broadcast;
+
+        // event data is an object, or a string if encrypted
+        if (!broadcast.detail || (typeof broadcast.detail !== 'object' && typeof broadcast.detail !== 'string') || Array.isArray(broadcast.detail)) return null;
+
+        // 1.x versions have no version number
+        if (!broadcast.v) return upgradeBroadcast(broadcast);
+
+        return broadcast;
+    }
+
+    /**
+     * Converts a 1.x broadcast to the current envelope
+     * @param {object} broadcast - 1.x payload ({ type, detail, eventIds, debug })
+     * @returns {object} broadcast payload (v = 1)
+     */
+    function upgradeBroadcast(broadcast) {
+
+        var eventIds = Array.isArray(broadcast.eventIds) ? broadcast.eventIds : [];
+
+        return {
+            v: 1,
+            type: broadcast.type,
+            detail: broadcast.detail,
+            eventId: eventIds[0], // added by the sending frame, so the same everywhere
+            eventIds: eventIds,
+            hops: Math.max(eventIds.length - 1, 0),
+            debug: broadcast.debug === true
         };
+    }
+
 
-        broadcastEvent(broadcast.type, broadcast.detail, options);
-    });
+    // default instance broadcasts between this window and its frames
+    // without a frame tree (Node, workers) it's a local-only bus, use create(transport) to connect it
+    var isWindow = (root.window === root && !!root.location && !!root.frames);
+    var href = root.location && root.location.href;
+    var broadcastEvent = createBroadcastEvent(isWindow ? postMessageTransport(root) : memoryTransport({ href: href }));
 
     // export
     if (typeof module !== 'undefined' && module.exports) {
         module.exports = broadcastEvent;
     }
     else {
-        window.broadcastEvent = broadcastEvent;
+        root.broadcastEvent = broadcastEvent;
     }
 
-})(this);
\ No newline at end of file
+})(typeof globalThis !== 'undefined' ? globalThis : this);
\ No newline at end of file
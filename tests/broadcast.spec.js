@@ -7,6 +7,21 @@ describe('broadcast-event', function() {
     let browser, page, iframe, nestedIframe;
     let logs = [];
 
+    // files served from disk
+    const mappings = [
+        {
+            baseURL: 'http://localhost',
+            files: [
+                { urlPath: '/parent-with-iframe.html', filePath: path.resolve('./tests/html/parent-with-iframe.html') },
+                { urlPath: '/parent-without-iframe.html', filePath: path.resolve('./tests/html/parent-without-iframe.html') },
+                { urlPath: '/iframe.html', filePath: path.resolve('./tests/html/iframe.html') },
+                { urlPath: '/nested-iframe.html', filePath: path.resolve('./tests/html/nested-iframe.html') },
+                { urlPath: '/late-iframe.html', filePath: path.resolve('./tests/html/late-iframe.html') },
+                { urlPath: '/src/broadcast-event.js', filePath: path.resolve('./src/broadcast-event.js') }
+            ]
+        }
+    ];
+
     beforeEach(async () => {
 
         // Launch a new browser instance
@@ -30,18 +45,7 @@ describe('broadcast-event', function() {
         });
 
         // serve content from disk
-        await helpers.mockPuppeteerRequest(page, [
-            {
-                baseURL: 'http://localhost',
-                files: [
-                    { urlPath: '/parent-with-iframe.html', filePath: path.resolve('./tests/html/parent-with-iframe.html') },
-                    { urlPath: '/parent-without-iframe.html', filePath: path.resolve('./tests/html/parent-without-iframe.html') },
-                    { urlPath: '/iframe.html', filePath: path.resolve('./tests/html/iframe.html') },
-                    { urlPath: '/nested-iframe.html', filePath: path.resolve('./tests/html/nested-iframe.html') },
-                    { urlPath: '/src/broadcast-event.js', filePath: path.resolve('./src/broadcast-event.js') }
-                ]
-            }
-        ], false);
+        await helpers.mockPuppeteerRequest(page, mappings, false);
 
         // add jasmine helper
         jasmine.addMatchers({
@@ -328,17 +332,29 @@ describe('broadcast-event', function() {
         await iframe.waitForSelector('#nested-iframe');
         nestedIframe = await (await iframe.$('#nested-iframe')).contentFrame();
 
+        // share the encryption key with all frames
+        await Promise.all([page, iframe, nestedIframe].map(function(frame) {
+            return frame.evaluate(function() {
+                window.broadcastEvent.defaults.encryptionKey = 'shared-secret';
+            });
+        }));
+
+        // let the peer handshake settle so we only count our event
+        await helpers.sleep(250);
+
         // intercept postMessage on topmost page so we can inspect the payload
         var postMessageSpy = await helpers.spyOnFunction(page, 'postMessage');
 
         // listen for broadcasts
         var eventListener = helpers.waitForEvent(iframe, eventName);
+        var parentEventListener = helpers.waitForEvent(page, eventName);
 
         // broadcast an event from iframe
         await helpers.execFunction(iframe, 'broadcastEvent', eventName, eventData, { encrypt: true });
 
-        // once handler recieved the event
+        // once handlers recieved the event
         var e = await eventListener;
+        var parentEvent = await parentEventListener;
 
         // get postMessage calls
         var postMessageCalls = await postMessageSpy.calls();
@@ -354,11 +370,608 @@ describe('broadcast-event', function() {
         expect(postMessagePayload.detail).toBeDefined();
         expect(typeof postMessagePayload.detail).toEqual('string');
         expect(postMessagePayload.detail).toStartWith('BE:');
+        expect(postMessagePayload.detail).not.toContain(e.detail._originId);
 
         // confirm eventData was decrypted
         expect(e.type).toEqual(eventName);
         expect(e.detail._originId).toBeDefined();
         expect(e.detail.firstName).toEqual(eventData.firstName);
         expect(e.detail.lastName).toEqual(eventData.lastName);
+        expect(parentEvent.detail.firstName).toEqual(eventData.firstName);
+    });
+
+    it('should relay but not fire encrypted events in frames without the key', async function() {
+
+        var eventName = 'test:encrypt:relay:' + Date.now();
+
+        // load parent page
+        await page.goto('http://localhost/parent-with-iframe.html', { waitUntil: 'load' });
+
+        // wait for iframes to load
+        await page.waitForSelector('#iframe');
+        iframe = await (await page.$('#iframe')).contentFrame();
+        await iframe.waitForSelector('#nested-iframe');
+        nestedIframe = await (await iframe.$('#nested-iframe')).contentFrame();
+
+        // share the encryption key with top and nested frames only
+        await Promise.all([page, nestedIframe].map(function(frame) {
+            return frame.evaluate(function() {
+                window.broadcastEvent.defaults.encryptionKey = 'shared-secret';
+            });
+        }));
+
+        // listen for broadcasts
+        var eventListeners = Promise.all([
+            helpers.waitForEvent(iframe, eventName, 1),
+            helpers.waitForEvent(nestedIframe, eventName, 1)
+        ]);
+
+        // broadcast from parent, must pass through iframe to reach nested iframe
+        await helpers.execFunction(page, 'broadcastEvent', eventName, { token: '01234' }, { encrypt: true });
+
+        var results = await eventListeners;
+
+        // iframe without key did not fire, nested iframe did
+        expect(results[0]).toBeUndefined();
+        expect(results[1]).toBeDefined();
+        expect(results[1].detail.token).toEqual('01234');
+    });
+
+    it('should not fire event if encrypted data was tampered with', async function() {
+
+        var eventName = 'test:encrypt:tamper:' + Date.now();
+
+        // load parent page
+        await page.goto('http://localhost/parent-with-iframe.html', { waitUntil: 'load' });
+
+        // wait for iframes to load
+        await page.waitForSelector('#iframe');
+        iframe = await (await page.$('#iframe')).contentFrame();
+
+        // share the encryption key with top and iframe
+        await Promise.all([page, iframe].map(function(frame) {
+            return frame.evaluate(function() {
+                window.broadcastEvent.defaults.encryptionKey = 'shared-secret';
+            });
+        }));
+
+        // listen for broadcasts
+        var eventListener = helpers.waitForEvent(iframe, eventName, 1);
+
+        // post a forged encrypted event to the iframe
+        await page.evaluate(function(name) {
+            var payload = { v: 2, type: name, detail: 'BE:AAAAAAAAAAAAAAAA:AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA', eventId: 'forged' };
+            window.frames[0].postMessage({ _broadcast: payload }, '*');
+        }, eventName);
+
+        var e = await eventListener;
+
+        // confirm the event was dropped
+        expect(e).toBeUndefined();
+        expect(logs).toContain('broadcast-event[http://localhost/iframe.html] Failed to decrypt event data "' + eventName + '"');
+    });
+
+    it('should sign messages when a signing key is set', async function() {
+
+        var eventName = 'test:sign:' + Date.now();
+
+        // load parent page
+        await page.goto('http://localhost/parent-with-iframe.html', { waitUntil: 'load' });
+
+        // wait for iframes to load
+        await page.waitForSelector('#iframe');
+        iframe = await (await page.$('#iframe')).contentFrame();
+        await iframe.waitForSelector('#nested-iframe');
+        nestedIframe = await (await iframe.$('#nested-iframe')).contentFrame();
+
+        // share the signing key with all frames
+        await Promise.all([page, iframe, nestedIframe].map(function(frame) {
+            return frame.evaluate(function() {
+                window.broadcastEvent.defaults.signingKey = 'signing-secret';
+            });
+        }));
+
+        // let the peer handshake settle so we only count our event
+        await helpers.sleep(250);
+
+        // intercept postMessage on the iframe so we can inspect the payload
+        var postMessageSpy = await helpers.spyOnFunction(iframe, 'postMessage');
+
+        // listen for broadcasts
+        var eventListener = helpers.waitForEvent(nestedIframe, eventName);
+
+        // broadcast from parent, relayed by iframe to nested iframe
+        await helpers.execFunction(page, 'broadcastEvent', eventName, { token: '01234' });
+
+        var e = await eventListener;
+        var postMessageCalls = await postMessageSpy.calls();
+
+        // confirm the relayed message was signed
+        var sig = postMessageCalls[0][0]._broadcast.sig;
+        expect(sig).toBeDefined();
+        expect(typeof sig.mac).toEqual('string');
+        expect(typeof sig.nonce).toEqual('string');
+        expect(typeof sig.ts).toEqual('number');
+
+        // confirm the event was fired
+        expect(e.detail.token).toEqual('01234');
+    });
+
+    it('should reject unsigned and replayed messages when a signing key is set', async function() {
+
+        var eventName = 'test:sign:reject:' + Date.now();
+
+        // load parent page
+        await page.goto('http://localhost/parent-with-iframe.html', { waitUntil: 'load' });
+
+        // wait for iframes to load
+        await page.waitForSelector('#iframe');
+        iframe = await (await page.$('#iframe')).contentFrame();
+
+        // share the signing key with top and iframe
+        await Promise.all([page, iframe].map(function(frame) {
+            return frame.evaluate(function() {
+                window.broadcastEvent.defaults.signingKey = 'signing-secret';
+                window.broadcastEvent.defaults.debug = true;
+            });
+        }));
+
+        // record every event the iframe fires
+        await iframe.evaluate(function(name) {
+            window.__received = [];
+            window.addEventListener(name, function(e) {
+                window.__received.push(e.detail.token);
+            });
+        }, eventName);
+
+        // let the peer handshake settle so we only capture our event
+        await helpers.sleep(250);
+
+        // capture the signed message the parent sends to the iframe
+        var postMessageSpy = await helpers.spyOnFunction(page, 'postMessage');
+
+        // broadcast a genuine event once
+        await helpers.execFunction(page, 'broadcastEvent', eventName, { token: '01234' });
+        await helpers.sleep(250);
+
+        var signed = (await postMessageSpy.calls())[0][0];
+
+        // post an unsigned copy and replay the signed message
+        await page.evaluate(function(name, message) {
+            window.frames[0].postMessage({ _broadcast: { v: 2, type: name, detail: { token: 'forged' }, eventId: 'forged' } }, '*');
+            window.frames[0].postMessage(message, '*');
+        }, eventName, signed);
+        await helpers.sleep(250);
+
+        var received = await iframe.evaluate(function() { return window.__received; });
+
+        // confirm only the genuine event was fired
+        expect(received).toEqual(['01234']);
+        expect(logs).toContain('broadcast-event[http://localhost/iframe.html] rejected "' + eventName + '" (unsigned)');
+        expect(logs).toContain('broadcast-event[http://localhost/iframe.html] rejected "' + eventName + '" (replayed)');
+    });
+
+    it('should report errors thrown by listeners back to the sender', async function() {
+
+        var eventName = 'test:error:' + Date.now();
+
+        // load parent page
+        await page.goto('http://localhost/parent-with-iframe.html', { waitUntil: 'load' });
+
+        // wait for iframes to load
+        await page.waitForSelector('#iframe');
+        iframe = await (await page.$('#iframe')).contentFrame();
+
+        // add a listener that throws in the iframe
+        await iframe.evaluate(function(name) {
+            window.broadcastEvent.defaults.reportErrors = true;
+            window.addEventListener(name, function() {
+                throw new Error('Scanner not found');
+            });
+        }, eventName);
+
+        // listen for error reports
+        var errorListener = helpers.waitForEvent(page, 'broadcast:error');
+
+        // broadcast from parent
+        await helpers.execFunction(page, 'broadcastEvent', eventName, { token: '01234' });
+
+        var e = await errorListener;
+
+        expect(e.detail.type).toEqual(eventName);
+        expect(e.detail.href).toEqual('http://localhost/iframe.html');
+        expect(e.detail.message).toEqual('Scanner not found');
+    });
+
+    it('should only postMessage to trusted origins', async function() {
+
+        var eventName = 'test:origins:' + Date.now();
+
+        // load parent page
+        await page.goto('http://localhost/parent-with-iframe.html', { waitUntil: 'load' });
+
+        // wait for iframes to load
+        await page.waitForSelector('#iframe');
+        iframe = await (await page.$('#iframe')).contentFrame();
+
+        // intercept postMessage on the iframe so we can inspect the target origin
+        var postMessageSpy = await helpers.spyOnFunction(iframe, 'postMessage');
+
+        // listen for broadcasts
+        var eventListener = helpers.waitForEvent(iframe, eventName, 1);
+
+        // broadcast from parent, only trusting an origin the iframe is not on
+        await helpers.execFunction(page, 'broadcastEvent', eventName, undefined, { origins: ['https://orcascan.com'] });
+
+        var e = await eventListener;
+        var postMessageCalls = await postMessageSpy.calls();
+
+        // confirm postMessage was restricted to the trusted origin, so the iframe never got it
+        expect(postMessageCalls.length).toEqual(1);
+        expect(postMessageCalls[0][1]).toEqual('https://orcascan.com');
+        expect(e).toBeUndefined();
+    });
+
+    it('should still deliver to other origins if one origin is invalid', async function() {
+
+        var eventName = 'test:origins:invalid:' + Date.now();
+
+        // load parent page
+        await page.goto('http://localhost/parent-with-iframe.html', { waitUntil: 'load' });
+
+        // wait for iframes to load
+        await page.waitForSelector('#iframe');
+        iframe = await (await page.$('#iframe')).contentFrame();
+
+        // listen for broadcasts
+        var eventListener = helpers.waitForEvent(iframe, eventName, 1);
+
+        // postMessage throws a SyntaxError for the first origin
+        await helpers.execFunction(page, 'broadcastEvent', eventName, { token: '01234' }, { origins: ['not an origin', 'http://localhost'] });
+
+        var e = await eventListener;
+
+        expect(e).toBeDefined();
+        expect(e.detail.token).toEqual('01234');
+    });
+
+    it('should reject events from untrusted origins', async function() {
+
+        var eventName = 'test:untrusted:' + Date.now();
+
+        // load parent page
+        await page.goto('http://localhost/parent-with-iframe.html', { waitUntil: 'load' });
+
+        // wait for iframes to load
+        await page.waitForSelector('#iframe');
+        iframe = await (await page.$('#iframe')).contentFrame();
+
+        // only trust orcascan.com in the parent
+        await page.evaluate(function() {
+            window.broadcastEvent.defaults.origins = ['https://orcascan.com'];
+        });
+
+        // listen for broadcasts
+        var eventListener = helpers.waitForEvent(page, eventName, 1);
+
+        // broadcast from iframe (http://localhost)
+        await helpers.execFunction(iframe, 'broadcastEvent', eventName, undefined, { debug: true });
+
+        var e = await eventListener;
+
+        // confirm parent did not fire the event and reported the rejection
+        expect(e).toBeUndefined();
+        expect(logs).toContain('broadcast-event[http://localhost/parent-with-iframe.html] rejected "' + eventName + '" from http://localhost');
+    });
+
+    it('should resolve request with handler result from another frame', async function() {
+
+        // load parent page
+        await page.goto('http://localhost/parent-with-iframe.html', { waitUntil: 'load' });
+
+        // wait for iframes to load
+        await page.waitForSelector('#iframe');
+        iframe = await (await page.$('#iframe')).contentFrame();
+        await iframe.waitForSelector('#nested-iframe');
+        nestedIframe = await (await iframe.$('#nested-iframe')).contentFrame();
+
+        // handle requests in nested iframe
+        await nestedIframe.evaluate(function() {
+            window.broadcastEvent.handle('scanner:status', function(data) {
+                return { connected: true, echo: data.echo };
+            });
+        });
+
+        // request from top page
+        var result = await helpers.execFunction(page, 'broadcastEvent.request', 'scanner:status', { echo: 'hello' });
+
+        expect(result).toEqual({ connected: true, echo: 'hello' });
+    });
+
+    it('should reject request with remote error message', async function() {
+
+        // load parent page
+        await page.goto('http://localhost/parent-with-iframe.html', { waitUntil: 'load' });
+
+        // wait for iframes to load
+        await page.waitForSelector('#iframe');
+        iframe = await (await page.$('#iframe')).contentFrame();
+
+        // handler in iframe throws
+        await iframe.evaluate(function() {
+            window.broadcastEvent.handle('scanner:status', function() {
+                throw new Error('Scanner offline');
+            });
+        });
+
+        var message = await page.evaluate(function() {
+            return window.broadcastEvent.request('scanner:status').catch(function(err) {
+                return err.message;
+            });
+        });
+
+        expect(message).toEqual('Scanner offline');
+    });
+
+    it('should reject request on timeout', async function() {
+
+        // load parent page
+        await page.goto('http://localhost/parent-with-iframe.html', { waitUntil: 'load' });
+
+        // nobody handles this request
+        var message = await page.evaluate(function() {
+            return window.broadcastEvent.request('nobody:home', {}, { timeout: 250 }).catch(function(err) {
+                return err.message;
+            });
+        });
+
+        expect(message).toEqual('Request "nobody:home" timed out after 250ms');
+    });
+
+    it('should discover peers', async function() {
+
+        // load parent page
+        await page.goto('http://localhost/parent-with-iframe.html', { waitUntil: 'load' });
+
+        // wait for iframes to load
+        await page.waitForSelector('#iframe');
+        iframe = await (await page.$('#iframe')).contentFrame();
+        await iframe.waitForSelector('#nested-iframe');
+        nestedIframe = await (await iframe.$('#nested-iframe')).contentFrame();
+
+        // wait for handshake to complete
+        await helpers.sleep(250);
+
+        var parentOriginId = await page.evaluate(function() { return window.broadcastEvent.originId; });
+        var iframeOriginId = await iframe.evaluate(function() { return window.broadcastEvent.originId; });
+        var nestedIframeOriginId = await nestedIframe.evaluate(function() { return window.broadcastEvent.originId; });
+
+        var peers = await page.evaluate(function() { return window.broadcastEvent.peers(); });
+        var iframePeer = peers.find(function(peer) { return peer.originId === iframeOriginId; });
+        var nestedIframePeer = peers.find(function(peer) { return peer.originId === nestedIframeOriginId; });
+
+        // parent knows about both frames and how they are nested
+        expect(peers.length).toEqual(2);
+        expect(iframePeer).toEqual({ originId: iframeOriginId, href: 'http://localhost/iframe.html', depth: 1, parentId: parentOriginId });
+        expect(nestedIframePeer).toEqual({ originId: nestedIframeOriginId, href: 'http://localhost/nested-iframe.html', depth: 2, parentId: iframeOriginId });
+
+        // discover asks everyone to announce again
+        var discovered = await helpers.execFunction(nestedIframe, 'broadcastEvent.discover');
+        expect(discovered.length).toEqual(2);
+    });
+
+    it('should fire peer:left when a frame unloads', async function() {
+
+        // load parent page
+        await page.goto('http://localhost/parent-with-iframe.html', { waitUntil: 'load' });
+
+        // wait for iframes to load
+        await page.waitForSelector('#iframe');
+        iframe = await (await page.$('#iframe')).contentFrame();
+        await iframe.waitForSelector('#nested-iframe');
+
+        // wait for handshake to complete
+        await helpers.sleep(250);
+
+        var peerLeft = helpers.waitForEvent(page, 'peer:left', 5);
+
+        // navigate the iframe away
+        await page.evaluate(function() {
+            document.getElementById('iframe').src = 'about:blank';
+        });
+
+        var e = await peerLeft;
+
+        expect(e).toBeDefined();
+        expect(e.detail.href).toMatch(/iframe\.html$/);
+    });
+
+    it('should notify subscribers matching wildcard patterns', async function() {
+
+        // load parent page
+        await page.goto('http://localhost/parent-with-iframe.html', { waitUntil: 'load' });
+
+        // wait for iframes to load
+        await page.waitForSelector('#iframe');
+        iframe = await (await page.$('#iframe')).contentFrame();
+        await iframe.waitForSelector('#nested-iframe');
+        nestedIframe = await (await iframe.$('#nested-iframe')).contentFrame();
+
+        // subscribe to mobile events in nested iframe
+        await nestedIframe.evaluate(function() {
+            window.__received = [];
+            window.__unsubscribe = window.broadcastEvent.on('mobile:*', function(data, meta) {
+                window.__received.push({ type: meta.type, token: data.token, originId: meta.originId });
+            });
+        });
+
+        // broadcast from top page
+        await helpers.execFunction(page, 'broadcastEvent', 'mobile:ready', { token: '01234' });
+        await helpers.execFunction(page, 'broadcastEvent', 'app:ready', { token: '56789' });
+        await helpers.sleep(250);
+
+        // unsubscribe and broadcast again
+        await nestedIframe.evaluate(function() { window.__unsubscribe(); });
+        await helpers.execFunction(page, 'broadcastEvent', 'mobile:closed', { token: '01234' });
+        await helpers.sleep(250);
+
+        var parentOriginId = await page.evaluate(function() { return window.broadcastEvent.originId; });
+        var received = await nestedIframe.evaluate(function() { return window.__received; });
+
+        expect(received).toEqual([
+            { type: 'mobile:ready', token: '01234', originId: parentOriginId }
+        ]);
+    });
+
+    it('should replay sticky events to iframes that load later', async function() {
+
+        // load parent page
+        await page.goto('http://localhost/parent-without-iframe.html', { waitUntil: 'load' });
+
+        // broadcast sticky event before any iframe exists
+        await helpers.execFunction(page, 'broadcastEvent', 'app:ready', { version: 1 }, { sticky: true });
+        await helpers.execFunction(page, 'broadcastEvent', 'app:ready', { version: 2 }, { sticky: true });
+
+        // add an iframe
+        await page.evaluate(function() {
+            var el = document.createElement('iframe');
+            el.id = 'late-iframe';
+            el.src = 'late-iframe.html';
+            document.body.appendChild(el);
+        });
+
+        await page.waitForSelector('#late-iframe');
+        iframe = await (await page.$('#late-iframe')).contentFrame();
+
+        // wait for handshake and replay
+        await helpers.sleep(500);
+
+        var received = await iframe.evaluate(function() { return window.__received; });
+
+        // only the last sticky event is replayed, once
+        expect(received.length).toEqual(1);
+        expect(received[0].version).toEqual(2);
+    });
+
+    it('should deliver events to iframes added while they were sent', async function() {
+
+        // load parent page
+        await page.goto('http://localhost/parent-without-iframe.html', { waitUntil: 'load' });
+
+        // add an iframe and broadcast before it has loaded
+        await page.evaluate(function() {
+            var el = document.createElement('iframe');
+            el.id = 'late-iframe';
+            el.src = 'late-iframe.html';
+            document.body.appendChild(el);
+
+            window.broadcastEvent('app:ready', { version: 1 });
+        });
+
+        await page.waitForSelector('#late-iframe');
+        iframe = await (await page.$('#late-iframe')).contentFrame();
+
+        // wait for handshake and buffered events
+        await helpers.sleep(500);
+
+        var received = await iframe.evaluate(function() { return window.__received; });
+
+        expect(received.length).toEqual(1);
+        expect(received[0].version).toEqual(1);
+    });
+
+    it('should resolve when target acknowledges receipt', async function() {
+
+        // load parent page
+        await page.goto('http://localhost/parent-with-iframe.html', { waitUntil: 'load' });
+
+        // wait for iframes to load
+        await page.waitForSelector('#iframe');
+        iframe = await (await page.$('#iframe')).contentFrame();
+        await iframe.waitForSelector('#nested-iframe');
+        nestedIframe = await (await iframe.$('#nested-iframe')).contentFrame();
+
+        var nestedIframeOriginId = await nestedIframe.evaluate(function() { return window.broadcastEvent.originId; });
+        var eventListener = helpers.waitForEvent(nestedIframe, 'my:acked:event');
+
+        var acked = await page.evaluate(function(target) {
+            return window.broadcastEvent('my:acked:event', {}, { target: target, ack: true }).then(function() {
+                return true;
+            });
+        }, nestedIframeOriginId);
+
+        var e = await eventListener;
+
+        expect(acked).toEqual(true);
+        expect(e.detail._targetId).toEqual(nestedIframeOriginId);
+    });
+
+    it('should reject naming the target if never acknowledged', async function() {
+
+        // load parent page
+        await page.goto('http://localhost/parent-with-iframe.html', { waitUntil: 'load' });
+
+        // spy on post message to the iframe so we can count attempts
+        iframe = await (await page.$('#iframe')).contentFrame();
+        await helpers.sleep(250);
+        var postMessageSpy = await helpers.spyOnFunction(iframe, 'postMessage');
+
+        var message = await page.evaluate(function() {
+            return window.broadcastEvent('my:acked:event', {}, { target: 'invalidTargetId', ack: true, retries: 2, timeout: 100 }).catch(function(err) {
+                return err.message;
+            });
+        });
+
+        // sent once plus 2 retries
+        var calls = await postMessageSpy.calls();
+        var attempts = calls.filter(function(call) {
+            return call[0]._broadcast.type === 'my:acked:event';
+        });
+
+        expect(message).toEqual('No acknowledgement from target "invalidTargetId"');
+        expect(attempts.length).toEqual(3);
+    });
+
+    it('should broadcast to other tabs over a channel once per window', async function() {
+
+        var eventName = 'session:expired';
+
+        // open a second tab
+        var secondPage = await browser.newPage();
+        await helpers.mockPuppeteerRequest(secondPage, mappings, false);
+
+        // load both tabs
+        await page.goto('http://localhost/parent-without-iframe.html', { waitUntil: 'load' });
+        await secondPage.goto('http://localhost/parent-with-iframe.html', { waitUntil: 'load' });
+
+        // wait for iframes to load
+        await secondPage.waitForSelector('#iframe');
+        iframe = await (await secondPage.$('#iframe')).contentFrame();
+
+        // connect every window to the channel
+        await Promise.all([page, secondPage, iframe].map(function(frame) {
+            return frame.evaluate(function() {
+                window.broadcastEvent.openChannel('orca-scan');
+            });
+        }));
+
+        // count events in the second tab (iframe gets it by channel and postMessage)
+        await Promise.all([secondPage, iframe].map(function(frame) {
+            return frame.evaluate(function(name) {
+                window.__count = 0;
+                window.addEventListener(name, function() {
+                    window.__count++;
+                });
+            }, eventName);
+        }));
+
+        await helpers.execFunction(page, 'broadcastEvent', eventName, { reason: 'timeout' });
+        await helpers.sleep(500);
+
+        var secondPageCount = await secondPage.evaluate(function() { return window.__count; });
+        var iframeCount = await iframe.evaluate(function() { return window.__count; });
+
+        expect(secondPageCount).toEqual(1);
+        expect(iframeCount).toEqual(1);
     });
 });
\ No newline at end of file
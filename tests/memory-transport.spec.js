@@ -0,0 +1,1028 @@
+// Node 16 only exposes WebCrypto via the crypto module
+if (!global.crypto) {
+    global.crypto = require('crypto').webcrypto;
+}
+
+const broadcastEvent = require('../src/broadcast-event.js');
+const helpers = require('./helpers.js');
+
+describe('broadcast-event (memory transport)', function() {
+
+    let top, iframe, nestedIframe;
+    let topBroadcastEvent, iframeBroadcastEvent, nestedIframeBroadcastEvent;
+
+    beforeEach(async () => {
+
+        // simulate parent-with-iframe.html without a browser
+        top = broadcastEvent.transports.memory({ href: 'http://localhost/parent-with-iframe.html' });
+        iframe = top.createChild({ href: 'http://localhost/iframe.html' });
+        nestedIframe = iframe.createChild({ href: 'http://localhost/nested-iframe.html' });
+
+        topBroadcastEvent = broadcastEvent.create(top);
+        iframeBroadcastEvent = broadcastEvent.create(iframe);
+        nestedIframeBroadcastEvent = broadcastEvent.create(nestedIframe);
+
+        // wait for peer handshake to complete
+        await helpers.sleep(50);
+    });
+
+    afterEach(() => {
+        top.remove();
+    });
+
+    it('should expose create and transports', function() {
+        expect(typeof broadcastEvent.create).toBe('function');
+        expect(typeof broadcastEvent.transports.postMessage).toBe('function');
+        expect(typeof broadcastEvent.transports.memory).toBe('function');
+    });
+
+    it('should send eventData to all frames', async function() {
+
+        var received = [];
+
+        [top, iframe, nestedIframe].forEach(function(frame) {
+            frame.target.addEventListener('app:ready', function(e) {
+                received.push(e.detail);
+            });
+        });
+
+        topBroadcastEvent('app:ready', { version: 1 });
+        await helpers.sleep(50);
+
+        expect(received.length).toEqual(3);
+        received.forEach(function(detail) {
+            expect(detail.version).toEqual(1);
+            expect(detail._originId).toEqual(topBroadcastEvent.originId);
+        });
+    });
+
+    it('should only fire event in target frame', async function() {
+
+        var received = [];
+
+        iframeBroadcastEvent.on('my:targeted:event', function() { received.push('iframe'); });
+        nestedIframeBroadcastEvent.on('my:targeted:event', function() { received.push('nestedIframe'); });
+
+        topBroadcastEvent('my:targeted:event', {}, { target: nestedIframeBroadcastEvent.originId });
+        await helpers.sleep(50);
+
+        expect(received).toEqual(['nestedIframe']);
+    });
+
+    it('should not deliver to frames on untrusted origins', async function() {
+
+        var ad = top.createChild({ href: 'https://ads.example.com/ad.html' });
+        var adBroadcastEvent = broadcastEvent.create(ad);
+        var received = [];
+
+        // frames that relay the event trust any origin, but must respect the sender's list
+        var nestedAd = iframe.createChild({ href: 'https://ads.example.com/nested-ad.html' });
+        var nestedAdBroadcastEvent = broadcastEvent.create(nestedAd);
+        await helpers.sleep(50);
+
+        adBroadcastEvent.on('mobile:ready', function() { received.push('ad'); });
+        nestedAdBroadcastEvent.on('mobile:ready', function() { received.push('nested ad'); });
+        iframeBroadcastEvent.on('mobile:ready', function() { received.push('iframe'); });
+        nestedIframeBroadcastEvent.on('mobile:ready', function() { received.push('nested iframe'); });
+
+        topBroadcastEvent('mobile:ready', {}, { origins: ['http://localhost'] });
+        await helpers.sleep(50);
+
+        expect(received.sort()).toEqual(['iframe', 'nested iframe']);
+    });
+
+    it('should resolve requests across frames', async function() {
+
+        nestedIframeBroadcastEvent.handle('scanner:status', function(data) {
+            return { connected: true, echo: data.echo };
+        });
+
+        var result = await topBroadcastEvent.request('scanner:status', { echo: 'hello' });
+
+        expect(result).toEqual({ connected: true, echo: 'hello' });
+    });
+
+    it('should encrypt replies to encrypted requests', async function() {
+
+        var ad = top.createChild({ href: 'https://ads.example.com/ad.html' });
+        var seen = [];
+
+        // record everything the ad frame receives (it runs broadcast-event without the key)
+        ad.listen(function(data) { seen.push(JSON.stringify(data)); });
+        broadcastEvent.create(ad);
+        await helpers.sleep(50);
+
+        [topBroadcastEvent, iframeBroadcastEvent].forEach(function(instance) {
+            instance.defaults.encryptionKey = 'shared-secret';
+        });
+
+        iframeBroadcastEvent.handle('secret:get', function() {
+            return { token: 'TOPSECRET' };
+        });
+
+        var result = await topBroadcastEvent.request('secret:get', {}, { encrypt: true });
+        await helpers.sleep(50);
+
+        expect(result).toEqual({ token: 'TOPSECRET' });
+        expect(seen.length).toBeGreaterThan(0);
+        expect(seen.join('')).not.toContain('TOPSECRET');
+    });
+
+    it('should throw if eventData does not match its schema', function() {
+
+        topBroadcastEvent.defineEvent('mobile:ready', {
+            type: 'object',
+            properties: {
+                token: { type: 'string' },
+                version: { type: 'integer', minimum: 1 }
+            },
+            required: ['token']
+        });
+
+        expect(function() {
+            topBroadcastEvent('mobile:ready', { version: 0 });
+        }).toThrowError('Invalid event data "mobile:ready": data.token is required, data.version must be >= 1');
+
+        expect(function() {
+            topBroadcastEvent('mobile:ready', { token: '01234', version: 1 });
+        }).not.toThrow();
+    });
+
+    it('should throw if a schema uses keywords it can not check', function() {
+
+        // ignoring them would let invalid data through
+        expect(function() {
+            topBroadcastEvent.defineEvent('user:saved', {
+                type: 'object',
+                properties: { id: { oneOf: [{ type: 'string' }, { type: 'integer' }] } }
+            });
+        }).toThrowError('Unsupported schema keyword "oneOf" at schema.properties.id');
+
+        expect(function() {
+            topBroadcastEvent.defineEvent('user:saved', { type: 'array', items: { type: 'string', format: 'email' } });
+        }).toThrowError('Unsupported schema keyword "format" at schema.items');
+
+        expect(function() {
+            topBroadcastEvent.defineEvent('user:saved', { type: 'object', additionalProperties: { multipleOf: 2 } });
+        }).toThrowError('Unsupported schema keyword "multipleOf" at schema.additionalProperties');
+
+        // bad patterns fail here, not when a message arrives
+        expect(function() {
+            topBroadcastEvent.defineEvent('user:saved', { type: 'object', properties: { email: { type: 'string', pattern: '[' } } });
+        }).toThrowError(/^Invalid pattern at schema.properties.email/);
+
+        topBroadcastEvent.defineEvent('user:saved', { title: 'User', type: 'object', properties: { email: { type: 'string', pattern: '@' } } });
+
+        expect(function() {
+            topBroadcastEvent('user:saved', { email: 'not-an-email' });
+        }).toThrowError('Invalid event data "user:saved": data.email must match @');
+    });
+
+    it('should drop received eventData that does not match its schema', async function() {
+
+        var received = [];
+        var invalid = [];
+
+        nestedIframeBroadcastEvent.defineEvent('mobile:ready', {
+            type: 'object',
+            properties: { token: { type: 'string' } },
+            required: ['token']
+        });
+
+        nestedIframeBroadcastEvent.on('mobile:ready', function(data) { received.push(data.token); });
+        nestedIframe.target.addEventListener('broadcast:invalid', function(e) { invalid.push(e.detail); });
+
+        // top has no schema, so sends whatever it likes
+        topBroadcastEvent('mobile:ready', { token: 1234 });
+        topBroadcastEvent('mobile:ready', { token: '01234' });
+        await helpers.sleep(50);
+
+        expect(received).toEqual(['01234']);
+        expect(invalid).toEqual([{
+            type: 'mobile:ready',
+            errors: ['data.token must be string'],
+            originId: topBroadcastEvent.originId
+        }]);
+    });
+
+    it('should keep the same event id as events are relayed', async function() {
+
+        spyOn(top, 'send').and.callThrough();
+        spyOn(iframe, 'send').and.callThrough();
+
+        topBroadcastEvent('scanner:scan', { barcode: '5010029217902' });
+        await helpers.sleep(50);
+
+        var sent = top.send.calls.mostRecent().args[1]._broadcast;
+        var relayed = iframe.send.calls.all().map(function(call) {
+            return call.args[1]._broadcast;
+        });
+
+        expect(typeof sent.eventId).toBe('string');
+        expect(relayed.length).toEqual(2); // up and down
+        relayed.forEach(function(payload) {
+            expect(payload.eventId).toEqual(sent.eventId);
+            expect(payload.eventIds).toEqual([sent.eventId]); // only 1.x frames add to this
+        });
+    });
+
+    it('should dedupe events at a constant cost per message', function() {
+
+        var frame = broadcastEvent.transports.memory();
+        var loneBroadcastEvent = broadcastEvent.create(frame);
+
+        /**
+         * Broadcasts a batch of events
+         * @param {number} count - number of events to send
+         * @returns {number} average milliseconds per event
+         */
+        function timeBatch(count) {
+            var start = performance.now();
+            for (var i = 0; i < count; i++) {
+                loneBroadcastEvent('scanner:scan', { barcode: String(i) });
+            }
+            return (performance.now() - start) / count;
+        }
+
+        // warm up and fill the cache
+        timeBatch(2000);
+        var early = timeBatch(2000);
+
+        // lots of scans later (all within the ttl)
+        timeBatch(20000);
+        var late = timeBatch(2000);
+
+        frame.remove();
+
+        expect(late).toBeLessThan(early * 3);
+    });
+
+    it('should throttle events sent from a frame', async function() {
+
+        var received = [];
+
+        iframeBroadcastEvent.on('scanner:scan', function(data) { received.push(data.barcode); });
+
+        ['1', '2', '3', '4'].forEach(function(barcode) {
+            topBroadcastEvent('scanner:scan', { barcode: barcode }, { throttle: 100 });
+        });
+        await helpers.sleep(200);
+
+        // first straight away, latest at the end of the window
+        expect(received).toEqual(['1', '4']);
+    });
+
+    it('should keep throttling when the same options object is reused', async function() {
+
+        var received = [];
+        var options = { throttle: 100 };
+
+        iframeBroadcastEvent.on('scanner:scan', function(data) { received.push(data.barcode); });
+
+        ['1', '2', '3'].forEach(function(barcode) {
+            topBroadcastEvent('scanner:scan', { barcode: barcode }, options);
+        });
+        await helpers.sleep(200);
+
+        ['4', '5', '6'].forEach(function(barcode) {
+            topBroadcastEvent('scanner:scan', { barcode: barcode }, options);
+        });
+        await helpers.sleep(200);
+
+        // the second burst is throttled too, so 5 is never sent
+        expect(received.slice(0, 2)).toEqual(['1', '3']);
+        expect(received).not.toContain('5');
+        expect(received[received.length - 1]).toEqual('6');
+        expect(options).toEqual({ throttle: 100 });
+    });
+
+    it('should debounce events sent from a frame', async function() {
+
+        var received = [];
+
+        iframeBroadcastEvent.on('search:changed', function(data) { received.push(data.query); });
+
+        ['o', 'or', 'orc', 'orca'].forEach(function(query) {
+            topBroadcastEvent('search:changed', { query: query }, { debounce: 50 });
+        });
+        await helpers.sleep(150);
+
+        expect(received).toEqual(['orca']);
+    });
+
+    it('should stop relaying events that exceed maxPerSecond', async function() {
+
+        var iframeReceived = 0;
+        var nestedIframeReceived = 0;
+        var throttled = [];
+
+        iframeBroadcastEvent.defaults.limits = { 'scanner:*': { maxPerSecond: 3 } };
+        iframeBroadcastEvent.on('scanner:scan', function() { iframeReceived++; });
+        nestedIframeBroadcastEvent.on('scanner:scan', function() { nestedIframeReceived++; });
+        iframe.target.addEventListener('broadcast:throttled', function(e) { throttled.push(e.detail); });
+
+        for (var i = 0; i < 10; i++) {
+            topBroadcastEvent('scanner:scan', { barcode: String(i) });
+        }
+        await helpers.sleep(50);
+
+        expect(iframeReceived).toEqual(3);
+        expect(nestedIframeReceived).toEqual(3);
+        expect(throttled.length).toEqual(1);
+        expect(throttled[0].type).toEqual('scanner:scan');
+        expect(throttled[0].maxPerSecond).toEqual(3);
+    });
+
+    it('should run outgoing middleware before sending to other frames', async function() {
+
+        var local = [];
+        var received = [];
+
+        topBroadcastEvent.use({
+            outgoing: function(payload) {
+                if (payload.type === 'ads:track') return false;
+                payload.detail.userId = '123';
+                delete payload.detail.email;
+            }
+        });
+
+        topBroadcastEvent.on('user:*', function(data) { local.push(data); });
+        iframeBroadcastEvent.on('*:*', function(data, meta) { received.push(meta.type + ' ' + JSON.stringify([data.userId, data.email])); });
+
+        topBroadcastEvent('user:login', { email: 'john@orcascan.com' });
+        topBroadcastEvent('ads:track', {});
+        await helpers.sleep(50);
+
+        // local listeners get the original data
+        expect(local[0].email).toEqual('john@orcascan.com');
+        expect(local[0].userId).toBeUndefined();
+
+        expect(received).toEqual(['user:login ["123",null]']);
+    });
+
+    it('should run incoming middleware before dispatching or relaying', async function() {
+
+        var iframeReceived = [];
+        var nestedIframeReceived = [];
+
+        var remove = iframeBroadcastEvent.use({
+            incoming: function(payload) {
+                if (payload.type === 'ads:track') return false;
+                payload.detail.seenBy = 'iframe';
+            }
+        });
+
+        iframeBroadcastEvent.on('*:*', function(data, meta) { iframeReceived.push(meta.type + ' ' + data.seenBy); });
+        nestedIframeBroadcastEvent.on('*:*', function(data, meta) { nestedIframeReceived.push(meta.type + ' ' + data.seenBy); });
+
+        topBroadcastEvent('app:ready', {});
+        topBroadcastEvent('ads:track', {});
+        await helpers.sleep(50);
+
+        expect(iframeReceived).toEqual(['app:ready iframe']);
+        expect(nestedIframeReceived).toEqual(['app:ready iframe']);
+
+        // once removed, events pass through untouched
+        remove();
+        topBroadcastEvent('ads:track', {});
+        await helpers.sleep(50);
+
+        expect(nestedIframeReceived).toEqual(['app:ready iframe', 'ads:track undefined']);
+    });
+
+    it('should re-encrypt encrypted events changed by incoming middleware', async function() {
+
+        var received = [];
+
+        [topBroadcastEvent, iframeBroadcastEvent, nestedIframeBroadcastEvent].forEach(function(instance) {
+            instance.defaults.encryptionKey = 'shared-secret';
+        });
+
+        // remove personal data before it goes any further
+        iframeBroadcastEvent.use({
+            incoming: function(payload) {
+                delete payload.detail.email;
+            }
+        });
+
+        iframeBroadcastEvent.on('user:login', function(data) { received.push('iframe ' + data.email); });
+        nestedIframeBroadcastEvent.on('user:login', function(data) { received.push('nested ' + data.email); });
+
+        topBroadcastEvent('user:login', { email: 'john@orcascan.com' }, { encrypt: true });
+        await helpers.sleep(100);
+
+        expect(received.sort()).toEqual(['iframe undefined', 'nested undefined']);
+    });
+
+    it('should only send events to frames in scope', async function() {
+
+        // top > iframe > nestedIframe, plus a sibling and niece of the iframe
+        var sibling = top.createChild({ href: 'http://localhost/sibling.html' });
+        var niece = sibling.createChild({ href: 'http://localhost/niece.html' });
+        var frames = {
+            top: topBroadcastEvent,
+            iframe: iframeBroadcastEvent,
+            nestedIframe: nestedIframeBroadcastEvent,
+            sibling: broadcastEvent.create(sibling),
+            niece: broadcastEvent.create(niece)
+        };
+        var received = {};
+
+        Object.keys(frames).forEach(function(name) {
+            frames[name].on('scope:*', function(data, meta) {
+                received[meta.type] = (received[meta.type] || []).concat(name);
+            });
+        });
+
+        await helpers.sleep(50);
+
+        ['local', 'up', 'down', 'ancestors', 'descendants', 'siblings', 'all'].forEach(function(scope) {
+            frames.iframe('scope:' + scope, {}, { scope: scope });
+        });
+        frames.nestedIframe('scope:ancestors:deep', {}, { scope: 'ancestors' });
+        frames.top('scope:descendants:deep', {}, { scope: 'descendants' });
+        frames.top('scope:maxHops', {}, { maxHops: 1 });
+        await helpers.sleep(100);
+
+        // the sender always fires the event locally
+        expect(received['scope:local']).toEqual(['iframe']);
+        expect(received['scope:up']).toEqual(['iframe', 'top']);
+        expect(received['scope:down']).toEqual(['iframe', 'nestedIframe']);
+        expect(received['scope:ancestors:deep'].sort()).toEqual(['iframe', 'nestedIframe', 'top']);
+        expect(received['scope:descendants:deep'].sort()).toEqual(['iframe', 'nestedIframe', 'niece', 'sibling', 'top']);
+        expect(received['scope:siblings']).toEqual(['iframe', 'sibling']);
+        expect(received['scope:all'].length).toEqual(5);
+        expect(received['scope:maxHops'].sort()).toEqual(['iframe', 'sibling', 'top']);
+
+        expect(function() {
+            frames.iframe('scope:invalid', {}, { scope: 'sideways' });
+        }).toThrowError('Invalid scope "sideways"');
+    });
+
+    it('should talk to frames running 1.x using the 1.x envelope', async function() {
+
+        // a frame running 1.x, which doesn't use broadcast-event 2
+        var legacy = top.createChild({ href: 'http://localhost/legacy.html' });
+        var legacyReceived = [];
+        var received = [];
+
+        legacy.listen(function(data) {
+            legacyReceived.push(data._broadcast);
+        });
+
+        iframeBroadcastEvent.on('app:ready', function(data) { received.push(data._originId); });
+
+        // 1.x has no version and adds an id at every hop
+        legacy.send(top, { _broadcast: { type: 'app:ready', detail: { _originId: 'legacy' }, eventIds: ['abc'], debug: false } }, ['*']);
+        await helpers.sleep(50);
+
+        // upgraded and relayed, only firing once
+        expect(received).toEqual(['legacy']);
+
+        legacyReceived = [];
+        topBroadcastEvent('app:ready', { version: 2 });
+        await helpers.sleep(50);
+
+        // down-converted now we know it's running 1.x
+        expect(legacyReceived.length).toEqual(1);
+        expect(Object.keys(legacyReceived[0]).sort()).toEqual(['debug', 'detail', 'eventIds', 'type']);
+        expect(legacyReceived[0].detail.version).toEqual(2);
+
+        // 1.x would relay scoped and hop limited events to every frame, so they're not sent
+        legacyReceived = [];
+        topBroadcastEvent('app:resize', {}, { scope: 'down' });
+        topBroadcastEvent('app:resize', {}, { maxHops: 1 });
+        await helpers.sleep(50);
+
+        expect(legacyReceived).toEqual([]);
+    });
+
+    it('should hold bus events for frames until they send the current version', async function() {
+
+        // a 1.x frame that only listens never tells us its version
+        var legacy = top.createChild({ href: 'http://localhost/legacy.html' });
+        var topScanner = topBroadcastEvent.createBus({ namespace: 'scanner' });
+        var legacyReceived = [];
+
+        legacy.listen(function(data) {
+            legacyReceived.push(data._broadcast.type);
+        });
+
+        topBroadcastEvent('app:ready', {});
+        topScanner('scanner:ready', {});
+        await helpers.sleep(50);
+
+        // plain events are readable by 1.x, bus events are held
+        expect(legacyReceived).toEqual(['app:ready']);
+
+        // once it turns out to be current, it gets what was held
+        legacy.send(top, { _broadcast: { v: topBroadcastEvent.protocolVersion, type: 'peer:announce', detail: {}, eventId: 'current-0', hops: 0 } }, ['*']);
+        await helpers.sleep(50);
+
+        expect(legacyReceived).toContain('scanner:ready');
+    });
+
+    it('should ignore messages with event data that is not an object', async function() {
+
+        var received = [];
+
+        topBroadcastEvent.on('app:broken', function() { received.push('top'); });
+
+        // would otherwise throw in the message listener (an unhandled rejection ends Node)
+        iframe.send(top, { _broadcast: { v: topBroadcastEvent.protocolVersion, type: 'app:broken', detail: 5, eventId: 'broken-1', hops: 0 } }, ['*']);
+        iframe.send(top, { _broadcast: { v: topBroadcastEvent.protocolVersion, type: 'app:broken', detail: [1], eventId: 'broken-2', hops: 0 } }, ['*']);
+        await helpers.sleep(50);
+
+        expect(received).toEqual([]);
+        expect(topBroadcastEvent.history({ type: 'app:broken' })).toEqual([]);
+    });
+
+    it('should relay newer versions without reading them', async function() {
+
+        var futureFrame = nestedIframe.createChild({ href: 'http://localhost/future.html' });
+        var futureReceived = [];
+        var received = [];
+
+        futureFrame.listen(function(data) {
+            if (data._broadcast.type === 'app:future') futureReceived.push(data._broadcast);
+        });
+
+        // newer frames announce themselves like any other
+        futureFrame.send(nestedIframe, { _broadcast: { v: topBroadcastEvent.protocolVersion + 1, type: 'peer:announce', eventId: 'future-0', hops: 0 } }, ['*']);
+        await helpers.sleep(50);
+
+        [topBroadcastEvent, iframeBroadcastEvent, nestedIframeBroadcastEvent].forEach(function(instance) {
+            instance.on('app:future', function() { received.push(instance.originId); });
+        });
+
+        var envelope = { v: topBroadcastEvent.protocolVersion + 1, type: 'app:future', eventId: 'future-1', hops: 0, shape: 'unknown' };
+
+        top.send(iframe, { _broadcast: envelope }, ['*']);
+        await helpers.sleep(50);
+
+        expect(received).toEqual([]);
+        expect(futureReceived.length).toEqual(1);
+        expect(futureReceived[0].shape).toEqual('unknown');
+        expect(futureReceived[0].hops).toEqual(2);
+    });
+
+    it('should keep events on separate buses apart', async function() {
+
+        // two apps embedded in the same frames (the iframe between them has no buses)
+        var topScanner = topBroadcastEvent.createBus({ namespace: 'scanner' });
+        var topCheckout = topBroadcastEvent.createBus({ namespace: 'checkout' });
+        var nestedScanner = nestedIframeBroadcastEvent.createBus({ namespace: 'scanner' });
+        var nestedCheckout = nestedIframeBroadcastEvent.createBus({ namespace: 'checkout' });
+        var received = [];
+
+        await helpers.sleep(50);
+
+        nestedScanner.on('ready', function(data) { received.push('scanner ' + data.app); });
+        nestedCheckout.on('ready', function(data) { received.push('checkout ' + data.app); });
+        nestedIframeBroadcastEvent.on('ready', function(data) { received.push('default ' + data.app); });
+        nestedIframe.target.addEventListener('ready', function(e) { received.push('window ' + e.detail.app); });
+
+        topScanner('ready', { app: 'scanner' });
+        topCheckout('ready', { app: 'checkout' });
+        await helpers.sleep(50);
+
+        expect(received.sort()).toEqual(['checkout checkout', 'scanner scanner']);
+
+        // each bus is its own instance
+        expect(topBroadcastEvent.createBus({ namespace: 'scanner' })).toBe(topScanner);
+        expect(topScanner.originId).not.toEqual(topCheckout.originId);
+        expect(topScanner.originId).not.toEqual(topBroadcastEvent.originId);
+        expect(topScanner.peers().map(function(peer) { return peer.originId; })).toEqual([nestedScanner.originId]);
+
+        expect(function() {
+            topBroadcastEvent.createBus({});
+        }).toThrowError('createBus requires a namespace');
+    });
+
+    it('should buffer events for frames that are still loading', async function() {
+
+        // frame exists, but broadcast-event hasn't loaded yet
+        var loading = top.createChild({ href: 'http://localhost/loading.html' });
+        var received = [];
+
+        topBroadcastEvent('mobile:ready', { token: '01234' });
+        await helpers.sleep(50);
+
+        var loadingBroadcastEvent = broadcastEvent.create(loading);
+        loadingBroadcastEvent.on('mobile:ready', function(data) { received.push(data.token); });
+        await helpers.sleep(50);
+
+        // delivered once it announced it was ready (and only once)
+        expect(received).toEqual(['01234']);
+
+        // frames added after the event was sent get it too
+        var added = iframe.createChild({ href: 'http://localhost/added.html' });
+        await helpers.sleep(50);
+
+        var addedBroadcastEvent = broadcastEvent.create(added);
+        addedBroadcastEvent.on('mobile:ready', function(data) { received.push(data.token); });
+        await helpers.sleep(50);
+
+        expect(received).toEqual(['01234', '01234']);
+    });
+
+    it('should drop buffered events after bufferTimeout', async function() {
+
+        var loading = top.createChild({ href: 'http://localhost/loading.html' });
+        var received = [];
+
+        topBroadcastEvent.defaults.bufferTimeout = 50;
+        topBroadcastEvent('mobile:ready', { token: '01234' });
+        await helpers.sleep(100);
+
+        var loadingBroadcastEvent = broadcastEvent.create(loading);
+        loadingBroadcastEvent.on('mobile:ready', function(data) { received.push(data.token); });
+        await helpers.sleep(50);
+
+        expect(received).toEqual([]);
+    });
+
+    it('should track peers as frames are added and removed', async function() {
+
+        var peers = topBroadcastEvent.peers();
+
+        expect(peers.length).toEqual(2);
+        expect(peers.find(function(peer) { return peer.originId === nestedIframeBroadcastEvent.originId; })).toEqual({
+            originId: nestedIframeBroadcastEvent.originId,
+            href: 'http://localhost/nested-iframe.html',
+            depth: 2,
+            parentId: iframeBroadcastEvent.originId
+        });
+
+        // removing the iframe also removes the nested iframe
+        iframe.remove();
+        await helpers.sleep(50);
+
+        expect(topBroadcastEvent.peers()).toEqual([]);
+    });
+
+    it('should report errors in handlers back to the sender', async function() {
+
+        var reported = [];
+
+        nestedIframeBroadcastEvent.defaults.reportErrors = true;
+        nestedIframeBroadcastEvent.on('app:ready', function() { throw new Error('Scanner not found'); });
+        topBroadcastEvent.on('broadcast:error', function(data) { reported.push(data); });
+        iframeBroadcastEvent.on('broadcast:error', function(data) { reported.push(data); });
+
+        var events = [];
+        topBroadcastEvent.use({ outgoing: function(payload) { events.push(payload.eventId); } });
+
+        topBroadcastEvent('app:ready', { token: '01234' });
+        await helpers.sleep(50);
+
+        // only the sender hears about it
+        expect(reported).toEqual([{
+            type: 'app:ready',
+            eventId: events[0],
+            href: 'http://localhost/nested-iframe.html',
+            message: 'Scanner not found',
+            _originId: nestedIframeBroadcastEvent.originId,
+            _targetId: topBroadcastEvent.originId
+        }]);
+    });
+
+    it('should keep a history of broadcasts', async function() {
+
+        var before = Date.now();
+
+        topBroadcastEvent.use({ incoming: function(payload) { return payload.type !== 'ads:track'; } });
+        nestedIframeBroadcastEvent('ads:track', { token: '01234' });
+        topBroadcastEvent('app:ready', { token: '01234' });
+        await helpers.sleep(50);
+
+        var sent = topBroadcastEvent.history({ type: 'app:*' })[0];
+        var relayed = iframeBroadcastEvent.history({ type: 'app:ready' }).map(function(entry) {
+            return [entry.action, entry.direction, entry.hops, entry.from || entry.to || null];
+        });
+
+        expect(sent).toEqual({
+            time: jasmine.any(Number),
+            action: 'sent',
+            direction: 'out',
+            type: 'app:ready',
+            eventId: jasmine.any(String),
+            originId: topBroadcastEvent.originId,
+            targetId: null,
+            hops: 0,
+            path: [topBroadcastEvent.originId],
+            encrypted: false,
+            to: ['children']
+        });
+        // the nested iframe echoes it back
+        expect(relayed).toEqual([
+            ['received', 'in', 0, 'parent'],
+            ['relayed', 'out', 1, ['parent', 'children']],
+            ['received', 'in', 2, 'child'],
+            ['suppressed', 'in', 2, null]
+        ]);
+
+        // received events list the frames they passed through
+        expect(nestedIframeBroadcastEvent.history({ type: 'app:ready' })[0].path).toEqual([topBroadcastEvent.originId, iframeBroadcastEvent.originId]);
+
+        // dropped events say why, and the history can be filtered by time
+        expect(topBroadcastEvent.history({ type: 'ads:track' }).map(function(entry) { return entry.reason || entry.action; })).toEqual(['received', 'stopped by middleware']);
+        expect(topBroadcastEvent.history({ since: Date.now() + 1000 })).toEqual([]);
+        expect(topBroadcastEvent.history({ since: before }).length).toBeGreaterThan(1);
+
+        // event data is never kept
+        var exported = JSON.parse(topBroadcastEvent.exportHistory());
+        expect(exported.originId).toEqual(topBroadcastEvent.originId);
+        expect(exported.entries.length).toEqual(topBroadcastEvent.history().length);
+        expect(JSON.stringify(exported)).not.toContain('01234');
+    });
+
+    it('should limit history to historySize', async function() {
+
+        topBroadcastEvent.defaults.historySize = 3;
+
+        for (var i = 0; i < 5; i++) {
+            topBroadcastEvent('app:tick', { count: i });
+        }
+
+        expect(topBroadcastEvent.history().length).toEqual(3);
+
+        topBroadcastEvent.defaults.historySize = 0;
+        topBroadcastEvent('app:tick', { count: 5 });
+
+        expect(topBroadcastEvent.history().length).toEqual(3);
+    });
+
+    it('should share state with every frame', async function() {
+
+        var changes = [];
+
+        nestedIframeBroadcastEvent.state.subscribe('*', function(value, meta) { changes.push([meta.key, value]); });
+
+        topBroadcastEvent.state.set('theme', 'dark');
+        await helpers.sleep(50);
+
+        expect(iframeBroadcastEvent.state.get('theme')).toEqual('dark');
+        expect(nestedIframeBroadcastEvent.state.get('theme')).toEqual('dark');
+        expect(changes).toEqual([['theme', 'dark']]);
+    });
+
+    it('should resolve conflicting state the same way in every frame', async function() {
+
+        // both frames write before hearing from the other
+        topBroadcastEvent.state.set('sheet', 'top');
+        nestedIframeBroadcastEvent.state.set('sheet', 'nested');
+        await helpers.sleep(50);
+
+        var expected = (topBroadcastEvent.originId > nestedIframeBroadcastEvent.originId) ? 'top' : 'nested';
+
+        expect(topBroadcastEvent.state.get('sheet')).toEqual(expected);
+        expect(iframeBroadcastEvent.state.get('sheet')).toEqual(expected);
+        expect(nestedIframeBroadcastEvent.state.get('sheet')).toEqual(expected);
+
+        // a later write wins, whoever made it
+        iframeBroadcastEvent.state.set('sheet', 'iframe');
+        await helpers.sleep(50);
+
+        expect(topBroadcastEvent.state.get('sheet')).toEqual('iframe');
+        expect(nestedIframeBroadcastEvent.state.get('sheet')).toEqual('iframe');
+    });
+
+    it('should sync state to frames that load later', async function() {
+
+        topBroadcastEvent.state.set('token', { value: '01234' });
+        await helpers.sleep(50);
+
+        var loaded = iframe.createChild({ href: 'http://localhost/late-iframe.html' });
+        var loadedBroadcastEvent = broadcastEvent.create(loaded);
+        await helpers.sleep(50);
+
+        expect(loadedBroadcastEvent.state.get('token')).toEqual({ value: '01234' });
+    });
+
+    it('should tell the sender which frame canceled an event', async function() {
+
+        nestedIframe.target.addEventListener('sheet:beforeDelete', function(e) { e.preventDefault(); });
+
+        var result = await topBroadcastEvent('sheet:beforeDelete', { sheetId: 1 }, { cancelable: true });
+
+        expect(result).toEqual({
+            canceled: true,
+            originId: nestedIframeBroadcastEvent.originId,
+            href: 'http://localhost/nested-iframe.html'
+        });
+
+        // the sender can veto its own event too
+        top.target.addEventListener('sheet:beforeRename', function(e) { e.preventDefault(); });
+
+        result = await topBroadcastEvent('sheet:beforeRename', { sheetId: 1 }, { cancelable: true });
+
+        expect(result.originId).toEqual(topBroadcastEvent.originId);
+
+        // ack resolves differently, so can't be combined
+        expect(function() {
+            topBroadcastEvent('sheet:beforeDelete', {}, { cancelable: true, ack: true, target: nestedIframeBroadcastEvent.originId });
+        }).toThrowError('ack can not be used with cancelable');
+    });
+
+    it('should resolve cancelable events that nobody canceled after the timeout', async function() {
+
+        var received = [];
+
+        iframe.target.addEventListener('sheet:beforeDelete', function(e) { received.push(e.cancelable); });
+
+        var result = await topBroadcastEvent('sheet:beforeDelete', { sheetId: 1 }, { cancelable: true, timeout: 100 });
+
+        expect(result).toEqual({ canceled: false });
+        expect(received).toEqual([true]);
+    });
+
+    it('should reject cancelable events that were never sent', async function() {
+
+        topBroadcastEvent.defaults.limits = { 'sheet:*': { maxPerSecond: 1 } };
+        top.target.addEventListener('sheet:beforeDelete', function(e) { e.preventDefault(); });
+
+        var result = await topBroadcastEvent('sheet:beforeDelete', { sheetId: 1 }, { cancelable: true });
+        expect(result.canceled).toEqual(true);
+
+        // nobody saw the second one, so nobody could veto it
+        var message = await topBroadcastEvent('sheet:beforeDelete', { sheetId: 1 }, { cancelable: true }).catch(function(err) {
+            return err.message;
+        });
+
+        expect(message).toEqual('Cancelable event "sheet:beforeDelete" was not sent (throttled)');
+
+        // the same goes for events stopped by middleware
+        topBroadcastEvent.use({ outgoing: function() { return false; } });
+
+        message = await topBroadcastEvent('sheet:beforeRename', { sheetId: 1 }, { cancelable: true }).catch(function(err) {
+            return err.message;
+        });
+
+        expect(message).toEqual('Cancelable event "sheet:beforeRename" was not sent (stopped by middleware)');
+    });
+
+    it('should elect one leader and hand over when it unloads', async function() {
+
+        var widgets = [top.createChild({ href: 'http://localhost/widget-1.html' }), iframe.createChild({ href: 'http://localhost/widget-2.html' })];
+        var instances = widgets.map(function(widget) { return broadcastEvent.create(widget); });
+        var changes = [];
+        await helpers.sleep(50);
+
+        var elections = instances.map(function(instance) {
+            return instance.elect('scanner', function(leaderId, info) { changes.push([instance.originId, leaderId, info.isLeader]); }, { timeout: 50 });
+        });
+        await helpers.sleep(100);
+
+        var leaderId = [instances[0].originId, instances[1].originId].sort()[0];
+        var leader = (instances[0].originId === leaderId) ? 0 : 1;
+        var follower = 1 - leader;
+
+        expect(elections[leader].isLeader()).toBe(true);
+        expect(elections[follower].isLeader()).toBe(false);
+        expect(elections[follower].leader()).toEqual(leaderId);
+        expect(changes.length).toEqual(2);
+
+        // frames that join later keep the current leader
+        var late = broadcastEvent.create(nestedIframe.createChild({ href: 'http://localhost/widget-3.html' }));
+        await helpers.sleep(50);
+        var lateElection = late.elect('scanner', function() {}, { timeout: 50 });
+        await helpers.sleep(100);
+
+        expect(lateElection.leader()).toEqual(leaderId);
+
+        // the leader unloads, the lowest remaining originId takes over
+        widgets[leader].remove();
+        await helpers.sleep(50);
+
+        var nextId = [instances[follower].originId, late.originId].sort()[0];
+
+        expect(elections[follower].leader()).toEqual(nextId);
+        expect(lateElection.leader()).toEqual(nextId);
+        expect(changes[changes.length - 1]).toEqual([instances[follower].originId, nextId, nextId === instances[follower].originId]);
+    });
+
+    it('should rejoin peers and elections when restored from the back/forward cache', async function() {
+
+        var widgets = [top.createChild({ href: 'http://localhost/widget-1.html' }), iframe.createChild({ href: 'http://localhost/widget-2.html' })];
+        var instances = widgets.map(function(widget) { return broadcastEvent.create(widget); });
+        await helpers.sleep(50);
+
+        var elections = instances.map(function(instance) {
+            return instance.elect('scanner', function() {}, { timeout: 50 });
+        });
+        await helpers.sleep(100);
+
+        var leader = elections[0].isLeader() ? 0 : 1;
+        var follower = 1 - leader;
+        var leaderId = instances[leader].originId;
+
+        // the leader goes into the back/forward cache, the follower takes over
+        widgets[leader].target.dispatchEvent(new Event('pagehide'));
+        await helpers.sleep(50);
+
+        expect(elections[follower].isLeader()).toBe(true);
+        expect(instances[follower].peers().map(function(peer) { return peer.originId; })).not.toContain(leaderId);
+
+        // restored, it joins again without taking over
+        var pageshow = new Event('pageshow');
+        pageshow.persisted = true;
+        widgets[leader].target.dispatchEvent(pageshow);
+        await helpers.sleep(100);
+
+        expect(elections[leader].isLeader()).toBe(false);
+        expect(elections[leader].leader()).toEqual(instances[follower].originId);
+        expect(elections[follower].isLeader()).toBe(true);
+        expect(instances[follower].peers().map(function(peer) { return peer.originId; })).toContain(leaderId);
+    });
+
+    it('should include windows we opened until they close', async function() {
+
+        var received = [];
+        var left = [];
+
+        // simulate window.open, the opener attaches the popup and the popup joins its opener
+        var popup = broadcastEvent.transports.memory({ href: 'http://localhost/oauth.html', opener: top });
+        topBroadcastEvent.attachWindow(popup);
+
+        var popupBroadcastEvent = broadcastEvent.create(popup);
+        popupBroadcastEvent.joinOpener();
+        popupBroadcastEvent.on('app:ready', function(data) { received.push(data.token); });
+        topBroadcastEvent.on('oauth:done', function(data) { received.push(data.token); });
+        topBroadcastEvent.addEventListener('peer:left', function(e) { left.push(e.detail.href); });
+        await helpers.sleep(50);
+
+        nestedIframeBroadcastEvent('app:ready', { token: '01234' });
+        popupBroadcastEvent('oauth:done', { token: '56789' });
+        await helpers.sleep(50);
+
+        expect(received.sort()).toEqual(['01234', '56789']);
+        expect(topBroadcastEvent.peers().length).toEqual(3);
+
+        popup.remove();
+        await helpers.sleep(50);
+
+        expect(left).toEqual(['http://localhost/oauth.html']);
+        expect(topBroadcastEvent.peers().length).toEqual(2);
+    });
+
+    it('should not exchange events with an opener the popup has not joined', async function() {
+
+        var received = [];
+
+        // any site can open our page, so its opener gets nothing (even if it attaches us)
+        var popup = broadcastEvent.transports.memory({ href: 'http://localhost/oauth.html', opener: top });
+        topBroadcastEvent.attachWindow(popup);
+
+        var popupBroadcastEvent = broadcastEvent.create(popup);
+        popupBroadcastEvent.on('app:ready', function(data) { received.push('popup:' + data.token); });
+        topBroadcastEvent.on('oauth:done', function(data) { received.push('top:' + data.token); });
+        await helpers.sleep(50);
+
+        topBroadcastEvent('app:ready', { token: '01234' });
+        popupBroadcastEvent('oauth:done', { token: '56789' });
+        await helpers.sleep(50);
+
+        expect(received).toEqual([]);
+        expect(topBroadcastEvent.peers().length).toEqual(2);
+        expect(popupBroadcastEvent.peers()).toEqual([]);
+
+        popup.remove();
+    });
+
+    it('should run as a local-only bus without a window', function() {
+
+        var received = [];
+        var eventName = 'node:ready:' + Date.now();
+
+        broadcastEvent.on(eventName, function(data) { received.push(data.token); });
+        broadcastEvent.addEventListener(eventName, function(e) { received.push(e.detail.token); });
+        broadcastEvent(eventName, { token: '01234' });
+
+        expect(received).toEqual(['01234', '01234']);
+        expect(broadcastEvent.peers()).toEqual([]);
+    });
+
+    it('should fall back to Event where there is no CustomEvent', function() {
+
+        var path = require.resolve('../src/broadcast-event.js');
+        var customEvent = global.CustomEvent;
+        var received = [];
+
+        // load a fresh copy as Node 16 would (no CustomEvent)
+        delete global.CustomEvent;
+        delete require.cache[path];
+
+        try {
+            var nodeBroadcastEvent = require('../src/broadcast-event.js');
+            nodeBroadcastEvent.addEventListener('app:ready', function(e) { received.push(e.detail.token); });
+            nodeBroadcastEvent('app:ready', { token: '01234' });
+        }
+        finally {
+            global.CustomEvent = customEvent;
+            delete require.cache[path];
+        }
+
+        expect(received).toEqual(['01234']);
+    });
+});